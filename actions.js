@@ -0,0 +1,258 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const { until } = require('selenium-webdriver');
+
+/**
+ * An async/await action API with the same semantics as the works() based
+ * WebRobot methods. Each action is run as a single works() step, so the
+ * error logging, retry policy, failure artifacts, and tracing still apply.
+ *
+ * Usage:
+ *
+ * ```js
+ * const actions = robot.actions;
+ * await actions.open('https://example.com/login');
+ * await actions.fill(By.id('username'), 'me');
+ * await actions.fill(By.id('password'), 'secret');
+ * await actions.click(By.css('button[type="submit"]'));
+ * const [title] = await actions.getText([By.css('h1')]);
+ * ```
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class WebActions {
+
+    /**
+     * Constructor.
+     *
+     * @param {WebRobot} robot The robot
+     */
+    constructor(robot) {
+        this.robot = robot;
+    }
+
+    /**
+     * Run function as a works() step described by info.
+     *
+     * @param {string} info Step information used in error log
+     * @param {Function} fn Function to call, may be async
+     * @param {object} options Work options
+     * @returns {Promise<any>}
+     */
+    step(info, fn, options) {
+        const worker = () => Promise.resolve(fn());
+        worker.toString = () => info;
+        return this.robot.works([[worker]], options);
+    }
+
+    /**
+     * Open an url.
+     *
+     * @param {string|undefined} url Url to open
+     * @returns {Promise<void>}
+     */
+    async open(url) {
+        await this.robot.open(url);
+    }
+
+    /**
+     * Close and destroy web driver.
+     *
+     * @returns {Promise<void>}
+     */
+    async close() {
+        await this.robot.close();
+    }
+
+    /**
+     * Sleep for milliseconds.
+     *
+     * @param {number|undefined} ms Milliseconds to sleep
+     * @returns {Promise<void>}
+     */
+    async sleep(ms) {
+        await this.robot.sleep(ms);
+    }
+
+    /**
+     * Find element.
+     *
+     * @param {By|Function} target Selector
+     * @param {WebElement} parent Parent element
+     * @returns {Promise<WebElement>}
+     */
+    async find(target, parent) {
+        return this.robot.findElement(parent ? {el: parent, data: target} : target);
+    }
+
+    /**
+     * Find elements.
+     *
+     * @param {By|Function} target Selector
+     * @param {WebElement} parent Parent element
+     * @returns {Promise<WebElement[]>}
+     */
+    async findAll(target, parent) {
+        return this.robot.findElements(parent ? {el: parent, data: target} : target);
+    }
+
+    /**
+     * Wait an element to present for defined timeout.
+     *
+     * @param {By|Function} target Selector
+     * @param {object} options The options
+     * @param {boolean} options.visible Also wait for the element to be visible
+     * @param {number} options.timeout Wait timeout (ms), default to robot timeout
+     * @returns {Promise<WebElement>}
+     */
+    async waitFor(target, options = null) {
+        options = options || {};
+        return this.step(`waitFor(${target})`, async () => {
+            const driver = this.robot.driver;
+            const timeout = options.timeout !== undefined ? options.timeout : this.robot.timeout;
+            const el = await driver.wait(until.elementLocated(target), timeout, `Waiting for element ${target} to be located`);
+            if (options.visible) {
+                await driver.wait(until.elementIsVisible(el), timeout);
+            }
+            return el;
+        });
+    }
+
+    /**
+     * Perform click.
+     *
+     * @param {By|Function} target Selector
+     * @param {WebElement} parent Parent element
+     * @returns {Promise<WebElement>}
+     */
+    async click(target, parent) {
+        return this.step(`click(${target})`, () => this.robot.retryStale(async () => {
+            const el = await this.find(target, parent);
+            await el.click();
+            await this.robot.notify('click', el, target);
+            return el;
+        }));
+    }
+
+    /**
+     * Wait an element to present and then perform click.
+     *
+     * @param {By|Function} target Selector
+     * @returns {Promise<WebElement>}
+     */
+    async waitAndClick(target) {
+        return this.step(`waitAndClick(${target})`, () => this.robot.retryStale(async () => {
+            const el = await this.waitFor(target);
+            await el.click();
+            await this.robot.notify('click', el, target);
+            return el;
+        }));
+    }
+
+    /**
+     * Fill a form field.
+     *
+     * @param {By|Function} target Field selector
+     * @param {any} value Field value
+     * @param {object} options Form value data options, see WebRobot.fillFormValue()
+     * @returns {Promise<void>}
+     */
+    async fill(target, value, options = null) {
+        await this.fillValue(Object.assign({}, options, {target, value}));
+    }
+
+    /**
+     * Select option(s) of a select element.
+     *
+     * @param {By|Function} target Select element selector
+     * @param {string|string[]|RegExp} value Option value, use array for multiple select
+     * @param {object} options Select options, see WebRobot.fillSelect()
+     * @returns {Promise<void>}
+     */
+    async select(target, value, options = null) {
+        await this.fillValue({target, value, select: options || {}});
+    }
+
+    /**
+     * Fill form field from form value data.
+     *
+     * @param {object} data Form value data, see WebRobot.fillFormValue()
+     * @returns {Promise<void>}
+     */
+    async fillValue(data) {
+        await this.step(`fill(${data.target})`, () => this.robot.fillFormValue(data));
+    }
+
+    /**
+     * Do fill in form.
+     *
+     * @param {Array} values Form values
+     * @param {By} form Form element selector
+     * @param {By|Function} submit Submit element selector
+     * @param {object} options The options, see WebRobot.fillInForm()
+     * @returns {Promise<WebElement>}
+     */
+    async fillForm(values, form, submit, options = null) {
+        return this.step(`fillForm(${form})`, () => this.robot.fillInForm(values, form, submit, options));
+    }
+
+    /**
+     * Read form values.
+     *
+     * @param {WebElement|By} form Form element
+     * @param {string[]} fields Form fields
+     * @param {object} options The options, see WebRobot.readForm()
+     * @returns {Promise<{values: object, types: object, missing: string[]}>}
+     */
+    async readForm(form, fields = null, options = null) {
+        return this.robot.readForm(form, fields, options);
+    }
+
+    /**
+     * Get element texts.
+     *
+     * @param {By[]|object} items Selectors, an object resolves texts with its keys
+     * @param {WebElement} parent Parent element
+     * @returns {Promise<string[]|object>}
+     */
+    async getText(items, parent) {
+        const keyed = typeof items === 'object' && !Array.isArray(items);
+        const result = keyed ? {} : [];
+        for (const [key, item] of Object.entries(items)) {
+            const text = await this.step(`getText(${item})`, () => this.robot.retryStale(async () => {
+                const el = await (parent || this.robot.driver).findElement(item);
+                return el.getAttribute('innerText');
+            }));
+            if (keyed) {
+                result[key] = text;
+            } else {
+                result.push(text);
+            }
+        }
+        return result;
+    }
+}
+
+module.exports = WebActions;
@@ -0,0 +1,318 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const { parse } = require('node-html-parser');
+
+/**
+ * A raw extracted value.
+ *
+ * @typedef {object} RawValue
+ * @property {string} text Element text
+ * @property {string} html Element outer HTML
+ */
+
+/**
+ * A raw table row.
+ *
+ * @typedef {object} RawRow
+ * @property {string} section Row section, can be thead, tbody, tfoot, or table
+ * @property {{header: boolean, text: string, html: string, colspan: number, rowspan: number}[]} cells Row cells
+ */
+
+/**
+ * A field extraction spec, either a converter name, a converter callback, or
+ * an object.
+ *
+ * @typedef {string|Function|object} FieldSpec
+ * @property {string} selector Field css selector relative to item, for list only
+ * @property {string} name Record key, for table only, default to column header
+ * @property {string} type Converter name, can be text, number, date, attr, href, or html
+ * @property {string} attr Attribute name for attr converter
+ * @property {string} decimal Decimal separator for number converter, default to .
+ * @property {string} format Date format for date converter such as DD/MM/YYYY
+ * @property {Function} convert Custom converter, called with text and raw value
+ */
+
+/**
+ * Converts raw values extracted from browser or page snapshot into
+ * structured records.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class Extractor {
+
+    /**
+     * Constructor.
+     *
+     * @param {object} options The options
+     * @param {string} options.baseUrl Base url to resolve href
+     */
+    constructor(options) {
+        this.options = options || {};
+    }
+
+    /**
+     * Normalize field spec.
+     *
+     * @param {FieldSpec} spec Field spec
+     * @returns {object}
+     */
+    getSpec(spec) {
+        if (typeof spec === 'string') {
+            return {type: spec};
+        }
+        if (typeof spec === 'function') {
+            return {convert: spec};
+        }
+        return Object.assign({type: 'text'}, spec);
+    }
+
+    /**
+     * Convert raw value using field spec.
+     *
+     * @param {RawValue|null} raw Raw value
+     * @param {FieldSpec} spec Field spec
+     * @returns {any}
+     */
+    convert(raw, spec) {
+        spec = this.getSpec(spec);
+        if (!raw) {
+            return null;
+        }
+        const text = this.constructor.normalize(raw.text);
+        if (typeof spec.convert === 'function') {
+            return spec.convert(text, raw);
+        }
+        const converter = this.constructor.CONVERTERS[spec.type];
+        if (typeof converter !== 'function') {
+            throw new Error(`Unknown converter ${spec.type}!`);
+        }
+        return converter.call(this, text, raw, spec);
+    }
+
+    /**
+     * Get element attribute from raw value, the root element is checked first
+     * and then its descendants.
+     *
+     * @param {RawValue} raw Raw value
+     * @param {string} attr Attribute name
+     * @returns {string|null}
+     */
+    getAttribute(raw, attr) {
+        const root = parse(raw.html || '');
+        const el = root.childNodes.find(node => node.nodeType === 1 && node.hasAttribute(attr)) ||
+            root.querySelector(`[${attr}]`);
+        return el ? el.getAttribute(attr) : null;
+    }
+
+    /**
+     * Build records from table rows. Header rows are rows in thead or
+     * leading rows which only contain header cells. Cells spanning multiple
+     * columns or rows are expanded into each of its positions.
+     *
+     * @param {RawRow[]} rows Table rows
+     * @param {object} options The options
+     * @param {string[]} options.headers Record keys, replacing table headers
+     * @param {Object<string, FieldSpec>} options.columns Column spec keyed by header
+     * @param {boolean} options.only Only extract columns listed in columns
+     * @returns {object[]}
+     */
+    tableRecords(rows, options = null) {
+        options = options || {};
+        const grid = [];
+        rows.forEach((row, r) => {
+            grid[r] = grid[r] || [];
+            let c = 0;
+            for (const cell of row.cells) {
+                while (grid[r][c] !== undefined) {
+                    c++;
+                }
+                for (let i = 0; i < (cell.rowspan || 1); i++) {
+                    grid[r + i] = grid[r + i] || [];
+                    for (let j = 0; j < (cell.colspan || 1); j++) {
+                        grid[r + i][c + j] = cell;
+                    }
+                }
+                c += cell.colspan || 1;
+            }
+        });
+        let headerCount = rows.filter(row => row.section === 'thead').length;
+        if (headerCount === 0) {
+            while (headerCount < rows.length && rows[headerCount].cells.length &&
+                rows[headerCount].cells.every(cell => cell.header)) {
+                headerCount++;
+            }
+        }
+        const width = Math.max(0, ...grid.map(row => row.length));
+        const headers = [];
+        for (let c = 0; c < width; c++) {
+            const texts = [];
+            for (let r = 0; r < headerCount; r++) {
+                const text = grid[r][c] ? this.constructor.normalize(grid[r][c].text) : '';
+                if (text && !texts.includes(text)) {
+                    texts.push(text);
+                }
+            }
+            headers.push(options.headers && options.headers[c] !== undefined ? options.headers[c] :
+                (texts.length ? texts.join(' ') : String(c)));
+        }
+        const columns = options.columns || {};
+        return grid.slice(headerCount)
+            .filter((row, idx) => rows[headerCount + idx] && rows[headerCount + idx].section !== 'tfoot')
+            .map(row => {
+                const record = {};
+                headers.forEach((header, c) => {
+                    if (header === null || (options.only && columns[header] === undefined)) {
+                        return;
+                    }
+                    const spec = this.getSpec(columns[header] !== undefined ? columns[header] : 'text');
+                    record[spec.name || header] = this.convert(row[c] || null, spec);
+                });
+                return record;
+            });
+    }
+
+    /**
+     * Build records from list items.
+     *
+     * @param {Object<string, RawValue|null>[]} items Raw values of each item keyed by field name
+     * @param {Object<string, FieldSpec>} fields Field specs
+     * @returns {object[]}
+     */
+    listRecords(items, fields) {
+        return items.map(item => {
+            const record = {};
+            for (const [name, spec] of Object.entries(fields)) {
+                record[name] = this.convert(item[name], spec);
+            }
+            return record;
+        });
+    }
+
+    /**
+     * Get css selectors of list fields.
+     *
+     * @param {Object<string, FieldSpec>} fields Field specs
+     * @returns {Object<string, string|null>}
+     */
+    getSelectors(fields) {
+        const selectors = {};
+        for (const [name, spec] of Object.entries(fields)) {
+            selectors[name] = typeof spec === 'object' && spec.selector ? spec.selector : null;
+        }
+        return selectors;
+    }
+
+    /**
+     * Normalize whitespaces.
+     *
+     * @param {string} s The text
+     * @returns {string}
+     */
+    static normalize(s) {
+        return (s || '').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Parse number.
+     *
+     * @param {string} s The text
+     * @param {string} decimal Decimal separator
+     * @returns {number|null}
+     */
+    static parseNumber(s, decimal = '.') {
+        s = s.replace(new RegExp(`[^0-9\\-${decimal === ',' ? ',' : '.'}]`, 'g'), '');
+        if (decimal === ',') {
+            s = s.replace(',', '.');
+        }
+        if (s === '' || s === '-') {
+            return null;
+        }
+        const n = parseFloat(s);
+        return isNaN(n) ? null : n;
+    }
+
+    /**
+     * Parse date.
+     *
+     * @param {string} s The text
+     * @param {string} format Date format using YYYY, MM, DD, HH, mm, and ss tokens
+     * @returns {Date|null}
+     */
+    static parseDate(s, format = null) {
+        if (!s) {
+            return null;
+        }
+        if (format) {
+            const tokens = [];
+            const re = format
+                .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+                .replace(/YYYY|MM|DD|HH|mm|ss/g, token => {
+                    tokens.push(token);
+                    return token === 'YYYY' ? '(\\d{4})' : '(\\d{1,2})';
+                });
+            const match = s.match(new RegExp(`^${re}$`));
+            if (!match) {
+                return null;
+            }
+            const parts = {YYYY: 1970, MM: 1, DD: 1, HH: 0, mm: 0, ss: 0};
+            tokens.forEach((token, idx) => {
+                parts[token] = parseInt(match[idx + 1]);
+            });
+            return new Date(parts.YYYY, parts.MM - 1, parts.DD, parts.HH, parts.mm, parts.ss);
+        }
+        const date = new Date(s);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    static get CONVERTERS() {
+        return {
+            text: text => text,
+            number: (text, raw, spec) => Extractor.parseNumber(text, spec.decimal),
+            date: (text, raw, spec) => Extractor.parseDate(text, spec.format),
+            html: (text, raw) => {
+                const root = parse(raw.html || '');
+                const el = root.childNodes.find(node => node.nodeType === 1);
+                return el ? el.innerHTML.trim() : '';
+            },
+            attr: function(text, raw, spec) {
+                return this.getAttribute(raw, spec.attr);
+            },
+            href: function(text, raw) {
+                const href = this.getAttribute(raw, 'href');
+                if (href && this.options.baseUrl) {
+                    try {
+                        return new URL(href, this.options.baseUrl).toString();
+                    }
+                    catch (err) {
+                        return href;
+                    }
+                }
+                return href;
+            },
+        };
+    }
+}
+
+module.exports = Extractor;
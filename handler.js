@@ -0,0 +1,222 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const { WebElement } = require('selenium-webdriver');
+const Scripts = require('./script');
+
+/**
+ * Element information used for matching.
+ *
+ * @typedef {object} ElementInfo
+ * @property {string} tag Tag name in lower case
+ * @property {string} type Type attribute in lower case
+ * @property {string[]} classes Class names
+ * @property {Object<string, string>} attributes Element attributes
+ */
+
+/**
+ * A field handler match callback.
+ *
+ * @callback fieldMatchCallback
+ * @param {ElementInfo} info Element information
+ * @param {WebElement} el Element
+ * @returns {boolean|Promise<boolean>}
+ */
+
+/**
+ * A field handler fill callback.
+ *
+ * @callback fieldFillCallback
+ * @param {WebElement} el Element
+ * @param {any} value Value
+ * @param {object} data Form value data
+ * @param {WebRobot} robot The robot
+ * @returns {Promise<void>}
+ */
+
+/**
+ * A field handler read callback.
+ *
+ * @callback fieldReadCallback
+ * @param {WebElement} el Element
+ * @param {object} data Form value data
+ * @param {WebRobot} robot The robot
+ * @returns {Promise<any>}
+ */
+
+/**
+ * A handler for custom form widgets such as select2 like dropdown, date
+ * picker, or rich text editor. A handler may implement fill, read, or both,
+ * either passed as options or by subclassing.
+ *
+ * A matcher can be a callback or an object with one or more of these
+ * criteria, all must be satisfied:
+ * - `tag`, element tag name or array of tag names
+ * - `type`, element type or array of types
+ * - `class`, class name or array of class names which all must present
+ * - `attr`, attribute name or object of attribute name and its value, use
+ *   true to only check attribute existence
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class FieldHandler {
+
+    /**
+     * Constructor.
+     *
+     * @param {object} options Handler options
+     * @param {string} options.name Handler name
+     * @param {object|fieldMatchCallback} options.match Handler matcher
+     * @param {fieldFillCallback} options.fill Fill implementation
+     * @param {fieldReadCallback} options.read Read implementation
+     */
+    constructor(options) {
+        options = options || {};
+        this.name = options.name;
+        this.match = options.match;
+        if (typeof options.fill === 'function') {
+            this.fill = options.fill;
+        }
+        if (typeof options.read === 'function') {
+            this.read = options.read;
+        }
+        if (!this.match) {
+            throw new Error(`Field handler ${this.name} requires a matcher!`);
+        }
+    }
+
+    /**
+     * Check if handler can handle the element.
+     *
+     * @param {ElementInfo} info Element information
+     * @param {WebElement} el Element
+     * @returns {Promise<boolean>}
+     */
+    async matches(info, el) {
+        if (typeof this.match === 'function') {
+            return await this.match(info, el) ? true : false;
+        }
+        const list = v => Array.isArray(v) ? v : [v];
+        const m = this.match;
+        if (m.tag && !list(m.tag).map(t => t.toLowerCase()).includes(info.tag)) {
+            return false;
+        }
+        if (m.type && !list(m.type).map(t => t.toLowerCase()).includes(info.type)) {
+            return false;
+        }
+        if (m.class && !list(m.class).every(c => info.classes.includes(c))) {
+            return false;
+        }
+        if (m.attr) {
+            const attrs = typeof m.attr === 'object' && !Array.isArray(m.attr) ? m.attr :
+                Object.fromEntries(list(m.attr).map(a => [a, true]));
+            for (const [k, v] of Object.entries(attrs)) {
+                if (info.attributes[k] === undefined || (v !== true && info.attributes[k] !== String(v))) {
+                    return false;
+                }
+            }
+        }
+        return true;
+    }
+}
+
+/**
+ * Field handler registry. Handler registered later takes precedence.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class FieldHandlerRegistry {
+
+    handlers = []
+
+    /**
+     * Register a field handler, an existing handler with same name will be
+     * replaced.
+     *
+     * @param {FieldHandler|object} handler The handler or handler options
+     * @returns {FieldHandler}
+     */
+    add(handler) {
+        if (!(handler instanceof FieldHandler)) {
+            handler = new FieldHandler(handler);
+        }
+        if (handler.name) {
+            this.remove(handler.name);
+        }
+        this.handlers.push(handler);
+        return handler;
+    }
+
+    /**
+     * Remove field handler.
+     *
+     * @param {string|FieldHandler} handler Handler name or the handler
+     */
+    remove(handler) {
+        this.handlers = this.handlers.filter(h => h !== handler && (!h.name || h.name !== handler));
+    }
+
+    /**
+     * Get registered handlers count.
+     *
+     * @returns {number}
+     */
+    get count() {
+        return this.handlers.length;
+    }
+
+    /**
+     * Find handler for the element.
+     *
+     * @param {WebElement} el Element
+     * @param {string} op Required operation, fill or read
+     * @returns {Promise<FieldHandler|undefined>}
+     */
+    async find(el, op = 'fill') {
+        const handlers = this.handlers.filter(h => typeof h[op] === 'function').reverse();
+        if (handlers.length) {
+            const info = await this.constructor.getInfo(el);
+            for (const handler of handlers) {
+                if (await handler.matches(info, el)) {
+                    return handler;
+                }
+            }
+        }
+    }
+
+    /**
+     * Get element information.
+     *
+     * @param {WebElement} el Element
+     * @returns {Promise<ElementInfo>}
+     */
+    static getInfo(el) {
+        return el.getDriver().executeScript(`return (${Scripts.elementInfo})(arguments[0]);`, el);
+    }
+}
+
+module.exports = {
+    FieldHandler,
+    FieldHandlerRegistry,
+}
@@ -24,12 +24,34 @@
 
 const fs = require('fs');
 const path = require('path');
-const { Builder, By, error, until, WebDriver, WebElement, Key } = require('selenium-webdriver');
+const EventEmitter = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
+const { Builder, By, error, logging, until, WebDriver, WebElement, Key } = require('selenium-webdriver');
 const { Queue, Work } = require('@ntlab/work');
 const { parse, HTMLElement, TextNode } = require('node-html-parser');
+const { FormSchema, FormValidationError, FormVerificationError } = require('./schema');
+const { Locator, AmbiguousLocatorError } = require('./locator');
+const { FieldHandler, FieldHandlerRegistry } = require('./handler');
+const RetryPolicy = require('./retry');
+const { LogSink, TextSink, ConsoleSink, JsonLineSink, MemorySink } = require('./sink');
+const Tracer = require('./tracer');
+const WebActions = require('./actions');
+const { WebPage, PageMismatchError } = require('./page');
+const WebRobotPool = require('./pool');
+const { JobRunner, JobStore } = require('./job');
+const WebRobotPlugin = require('./plugin');
+const { totp, LoginError } = require('./login');
+const Extractor = require('./extract');
+const { PageSnapshot, XPathEvaluator } = require('./snapshot');
+const WebNetwork = require('./network');
+const Scripts = require('./script');
 
 let operaService;
+let artifactSeq = 0;
 const expectedErrors = [];
+const retriedErrors = new WeakSet();
+const worksContext = new AsyncLocalStorage();
+const retryContext = new AsyncLocalStorage();
 
 /**
  * A form field value converter callback.
@@ -77,9 +99,23 @@ const expectedErrors = [];
 /**
  * A base class for Selenium automation.
  *
+ * Emitted events:
+ * - `ready`, robot is ready, see whenReady()
+ * - `driver-created`, web driver is created, with driver
+ * - `navigate`, an url is opened, with url
+ * - `before-fill`, a form value is about to be filled, with form value data
+ * - `after-fill`, a form value is filled, with form value data
+ * - `click`, an element is clicked, with element and its selector
+ * - `error`, an unexpected error is occurred, with error and log event, only
+ *   emitted when there is a listener
+ * - `recover`, lost browser session is recovered, with error
+ * - `login`, logged in using login(), with login options
+ * - `relogin`, about to log in again after being logged out, with error
+ * - `close`, web driver is closed
+ *
  * @author Toha <tohenk@yahoo.com>
  */
-class WebRobot {
+class WebRobot extends EventEmitter {
 
     /**
      * Constructor.
@@ -91,8 +127,25 @@ class WebRobot {
      * @param {string} options.url Default url for open
      * @param {number} options.timeout Operation timeout (ms)
      * @param {number} options.wait Wait delay (ms)
+     * @param {object|boolean} options.staleRetry Stale element retry options, false to disable
+     * @param {number} options.staleRetry.attempts Maximum attempts, default to 3
+     * @param {number} options.staleRetry.backoff Delay before next attempt (ms), default to 250
+     * @param {object|boolean|RetryPolicy} options.retry Retry policy for works(), see RetryPolicy
+     * @param {object} options.loginfo Error logger parameters, see WorkErrorLogger.create()
+     * @param {object|boolean} options.artifacts Save failure artifacts on unexpected error
+     * @param {string} options.artifacts.dir Artifacts directory, relative to working directory, default to artifacts
+     * @param {object|boolean} options.trace Trace actions and works() steps, see Tracer
+     * @param {object|boolean} options.recover Recover lost browser session, false to disable
+     * @param {number} options.recover.attempts Maximum recovery for each works(), default to 1
+     * @param {Array<WebRobotPlugin|object|Function>} options.plugins Plugins to install, see use()
+     * @param {object|boolean} options.persistSession Persist cookies and storages in session file
+     * @param {string} options.persistSession.file Session file, relative to working directory
+     * @param {boolean} options.persistSession.restore Restore session on open(), default to true
+     * @param {boolean} options.persistSession.save Save session on close(), default to true
+     * @param {object} options.network DevTools network API options, see WebNetwork
      */
     constructor(options) {
+        super();
         this.options = options || {};
         this.browser = this.options.browser || this.constructor.CHROME;
         this.workdir = this.options.workdir || __dirname;
@@ -104,6 +157,18 @@ class WebRobot {
         this.ready = false;
         this.browsers = [this.constructor.CHROME, this.constructor.FIREFOX, this.constructor.OPERA];
         this.safeTextArea = this.options.safeTextArea !== undefined ? this.options.safeTextArea : true;
+        this.fieldHandlers = new FieldHandlerRegistry();
+        this.staleRetry = new RetryPolicy(Object.assign(this.options.staleRetry === false ? {attempts: 1} : {},
+            this.options.staleRetry || {}, {retryable: [error.StaleElementReferenceError]}));
+        this.retry = this.getRetryPolicy(this.options.retry);
+        if (this.options.trace) {
+            this.tracer = new Tracer(typeof this.options.trace === 'object' ? this.options.trace : {});
+            this.tracer.attach(this);
+        }
+        this.plugins = [];
+        for (const plugin of this.options.plugins || []) {
+            this.use(plugin);
+        }
         this.initialize();
         this.setup();
     }
@@ -123,6 +188,8 @@ class WebRobot {
             if (typeof this.onReady === 'function') {
                 this.onReady();
             }
+            // let listeners attached after constructor receive the event
+            process.nextTick(() => this.emit('ready'));
         }
         const profile = this.getProfileDir();
         this.profileDirCreated = !fs.existsSync(profile);
@@ -153,6 +220,90 @@ class WebRobot {
         }
     }
 
+    /**
+     * Install a plugin.
+     *
+     * @param {WebRobotPlugin|object|Function} plugin The plugin, plugin class, or a factory called with robot
+     * @returns {WebRobot}
+     * @see WebRobotPlugin
+     */
+    use(plugin) {
+        if (typeof plugin === 'function') {
+            plugin = /^class\s/.test(Function.prototype.toString.call(plugin)) ? new plugin() : plugin(this);
+        }
+        if (!plugin || typeof plugin !== 'object') {
+            throw new Error('Invalid plugin!');
+        }
+        if (plugin.name && this.plugins.some(p => p.name === plugin.name)) {
+            throw new Error(`Plugin ${plugin.name} is already installed!`);
+        }
+        this.plugins.push(plugin);
+        if (typeof plugin.install === 'function') {
+            plugin.install(this);
+        }
+        for (const handler of plugin.fieldHandlers || []) {
+            this.addFieldHandler(handler);
+        }
+        const handle = (event, fn) => {
+            const failed = err => this.warn(`Plugin ${plugin.name || 'anonymous'} ${event} listener failed`, err);
+            let res;
+            try {
+                res = fn();
+            }
+            catch (err) {
+                return failed(err);
+            }
+            if (res && typeof res.then === 'function') {
+                res = Promise.resolve(res)
+                    .catch(failed);
+                // collected to be awaited by notify()
+                if (this._hooks) {
+                    this._hooks.push(res);
+                }
+            }
+        }
+        for (const [event, listener] of Object.entries(plugin.events || {})) {
+            this.on(event, (...args) => handle(event, () => listener.call(plugin, this, ...args)));
+        }
+        if (typeof plugin.error === 'function' && plugin.error !== WebRobotPlugin.prototype.error) {
+            this.on('error', (err, event) => handle('error', () => plugin.error(err, event, this)));
+        }
+        return this;
+    }
+
+    /**
+     * Emit an event and wait for asynchronous plugin event listeners to
+     * complete. A failed plugin listener is logged as warning and doesn't
+     * fail the operation.
+     *
+     * @param {string} event Event name
+     * @param  {...any} args Event arguments
+     * @returns {Promise<void>}
+     */
+    async notify(event, ...args) {
+        const hooks = this._hooks;
+        const pending = this._hooks = [];
+        try {
+            this.emit(event, ...args);
+        }
+        finally {
+            this._hooks = hooks;
+        }
+        await Promise.all(pending);
+    }
+
+    /**
+     * Wait for robot to be ready.
+     *
+     * @returns {Promise<WebRobot>}
+     */
+    whenReady() {
+        if (this.ready) {
+            return Promise.resolve(this);
+        }
+        return new Promise(resolve => this.once('ready', () => resolve(this)));
+    }
+
     /**
      * Get web driver.
      *
@@ -187,6 +338,12 @@ class WebRobot {
                         prefs['profile.default_content_setting_values.automatic_downloads'] = true;
                     }
                     options.setUserPreferences(prefs);
+                    // browser console log is captured as failure artifact
+                    if (this.options.artifacts) {
+                        const loggingPrefs = new logging.Preferences();
+                        loggingPrefs.setLevel(logging.Type.BROWSER, logging.Level.ALL);
+                        options.setLoggingPrefs(loggingPrefs);
+                    }
                     break;
                 case this.constructor.FIREFOX:
                     const FirefoxOptions = require('selenium-webdriver/firefox').Options;
@@ -201,7 +358,17 @@ class WebRobot {
             if (this.options.headless) {
                 options.addArguments(`--headless=${this.options.headless}`);
             }
+            for (const plugin of this.plugins) {
+                if (typeof plugin.driverOptions === 'function') {
+                    await plugin.driverOptions(options, this);
+                }
+            }
             this.driver = await this.createDriver(options);
+            // apply network routes and headers to recreated driver
+            if (this._network) {
+                await this._network.restore();
+            }
+            await this.notify('driver-created', this.driver);
             // opera doesn't honor download.default_directory
             if (downloaddir && this.browser === this.constructor.OPERA) {
                 this.driver.setDownloadPath(downloaddir);
@@ -298,14 +465,313 @@ class WebRobot {
     /**
      * A proxy function for Work.works.
      *
+     * When a retry policy applies, the whole works is repeated when a step is
+     * rejected with a retryable error. An expected error is never retried and
+     * an error which already exhausted its retries in a nested works is not
+     * retried again.
+     *
+     * When the browser session is lost, the outermost works recovers the
+     * session and then runs again. Likewise, when the outermost works fails
+     * and the robot is no longer logged in, it logs in again using the last
+     * login() options and then runs again.
+     *
      * @param {Array} w Work list
      * @param {object} options Work options
+     * @param {object|boolean|RetryPolicy} options.retry Retry policy, false to disable, default to constructor retry option
+     * @param {boolean} options.recover Set to false to disable session recovery
      * @returns {Promise<any>}
      * @see Work.works
      */
     works(w, options) {
-        return Work.works(w, WorkErrorLogger.create(this.options.loginfo)
-            .onerror(options || {}));
+        options = options || {};
+        const logger = WorkErrorLogger.create(this.options.loginfo);
+        const policy = options.retry !== undefined ? this.getRetryPolicy(options.retry) : this.retry;
+        if (this.options.artifacts && options.artifact === undefined) {
+            options.artifact = err => this.saveArtifacts(err);
+        }
+        options.robot = this;
+        // worker array is altered when it's named, so pass a copy
+        const f = attempt => {
+            options.attempt = attempt;
+            return Work.works(w.map(x => this.traceWorker(x)), logger.onerror(options));
+        }
+        const run = () => {
+            if (!policy) {
+                return f(1);
+            }
+            return this.runRetry(policy, f,
+                (err, attempt) => logger.retry(err, attempt, policy, options),
+                err => this.constructor.isErr(err) && !retriedErrors.has(err), true)
+                .catch(err => {
+                    if (err instanceof Error && policy.isRetryable(err)) {
+                        retriedErrors.add(err);
+                    }
+                    throw err;
+                });
+        }
+        if (worksContext.getStore() || options.recover === false) {
+            return run();
+        }
+        const recover = this.options.recover;
+        const attempts = recover === false ? 0 :
+            (typeof recover === 'object' && recover.attempts !== undefined ? recover.attempts : 1);
+        const context = {robot: this, recovered: 0, attempts};
+        let relogged = 0;
+        return worksContext.run(context, () => {
+            const g = () => run()
+                .catch(err => {
+                    if (this.willRecover(err)) {
+                        context.recovered++;
+                        return this.recover(err)
+                            .then(() => g());
+                    }
+                    if (this.driver && relogged < 1 && this._login && this._login.relogin && !this._loggingIn &&
+                        this.constructor.isErr(err)) {
+                        relogged++;
+                        // only log in again when the login page is shown
+                        return this.isLoggedIn()
+                            .then(loggedIn => loggedIn ? false : this.isLoginPage())
+                            .catch(() => false)
+                            .then(loginPage => {
+                                if (!loginPage) {
+                                    throw err;
+                                }
+                                return this.relogin(err)
+                                    .then(() => g());
+                            });
+                    }
+                    throw err;
+                });
+            return g();
+        });
+    }
+
+    /**
+     * Check if error indicates the browser session is lost, either the
+     * session is no longer exist or the driver is unreachable.
+     *
+     * @param {Error} err The error
+     * @returns {boolean}
+     */
+    isSessionLost(err) {
+        if (!(err instanceof Error)) {
+            return false;
+        }
+        if (err instanceof error.NoSuchSessionError) {
+            return true;
+        }
+        if (['ECONNREFUSED', 'ECONNRESET'].includes(err.code)) {
+            return true;
+        }
+        if (err instanceof error.WebDriverError &&
+            /(invalid session id|chrome not reachable|session deleted|disconnected: not connected)/i.test(err.message)) {
+            return true;
+        }
+        return err.cause ? this.isSessionLost(err.cause) : false;
+    }
+
+    /**
+     * Check if error will be recovered by the outermost works() in current
+     * async context, see recover().
+     *
+     * @param {Error} err The error
+     * @returns {boolean}
+     */
+    willRecover(err) {
+        const context = worksContext.getStore();
+        return context && context.robot === this && this.driver && context.recovered < context.attempts &&
+            this.isSessionLost(err) ? true : false;
+    }
+
+    /**
+     * Check if browser session is still alive.
+     *
+     * @returns {Promise<boolean>}
+     */
+    isAlive() {
+        if (!this.driver) {
+            return Promise.resolve(false);
+        }
+        return this.driver.getWindowHandle()
+            .then(() => true)
+            .catch(err => {
+                if (this.isSessionLost(err)) {
+                    return false;
+                }
+                throw err;
+            });
+    }
+
+    /**
+     * Recover lost browser session by recreating the driver using the same
+     * profile and re-opening the last url. Listen to `recover` event to
+     * re-login or replay state, it's emitted after the last url is opened.
+     * The error causing recovery is logged as warning instead of error.
+     *
+     * @param {Error} err The error causing recovery
+     * @returns {Promise<void>}
+     */
+    recover(err) {
+        if (!this._recovering) {
+            const url = this._url;
+            this.warn('Browser session lost, recovering', err);
+            this._recovering = this.works([
+                [w => this.resetDriver()],
+                [w => this.getDriver()],
+                [w => this.open(url), w => url],
+                [w => this.notify('recover', err)],
+            ], {retry: false})
+            .finally(() => {
+                delete this._recovering;
+            });
+        }
+        return this._recovering;
+    }
+
+    /**
+     * Quit web driver ignoring lost session error and forget it.
+     *
+     * @returns {Promise<void>}
+     */
+    resetDriver() {
+        return new Promise((resolve, reject) => {
+            const f = () => {
+                delete this.driver;
+                delete this._url;
+                delete this._restored;
+                resolve();
+            }
+            if (!this.driver) {
+                return f();
+            }
+            this.driver.quit()
+                .then(() => f())
+                .catch(err => {
+                    if (this.isSessionLost(err)) {
+                        f();
+                    } else {
+                        reject(err);
+                    }
+                });
+        });
+    }
+
+    /**
+     * Copy a worker and wrap its handler when tracing is enabled.
+     *
+     * @param {Array|Function} worker The worker
+     * @returns {Array|Function}
+     */
+    traceWorker(worker) {
+        if (Array.isArray(worker)) {
+            worker = [...worker];
+            const idx = typeof worker[0] === 'string' ? 1 : 0;
+            if (this.tracer && typeof worker[idx] === 'function') {
+                worker[idx] = this.tracer.wrap(worker[idx]);
+            }
+        } else if (this.tracer && typeof worker === 'function') {
+            worker = this.tracer.wrap(worker);
+        }
+        return worker;
+    }
+
+    /**
+     * Get retry policy for works().
+     *
+     * @param {object|boolean|RetryPolicy} retry Retry options
+     * @returns {RetryPolicy|undefined}
+     */
+    getRetryPolicy(retry) {
+        if (retry instanceof RetryPolicy) {
+            return retry;
+        }
+        if (retry) {
+            return new RetryPolicy(Object.assign({
+                retryable: [error.TimeoutError, error.ElementClickInterceptedError, error.ElementNotInteractableError],
+                retryIf: err => ['ECONNRESET', 'ETIMEDOUT'].includes(err.code),
+            }, typeof retry === 'object' ? retry : {}));
+        }
+    }
+
+    /**
+     * Write a warning to the log sinks.
+     *
+     * @param {string} message Warning message
+     * @param {Error|string} err The error
+     */
+    warn(message, err) {
+        const logger = WorkErrorLogger.create(this.options.loginfo);
+        const options = {robot: this};
+        logger.emit(logger.createEvent('warn', err, options, {message}), options);
+    }
+
+    /**
+     * Get robot context for structured log event.
+     *
+     * @returns {{browser: string, session: string, url: string}}
+     */
+    getLogContext() {
+        return {browser: this.browser, session: this.session, url: this._url};
+    }
+
+    /**
+     * Save failure artifacts, which are screenshot, page source, url, and
+     * browser console log into a timestamped directory. The artifacts are
+     * saved in background, and only for the final failure as attempts which
+     * will be retried are skipped. The directory is reported as artifacts of
+     * the error log event.
+     *
+     * @param {Error} err The error
+     * @returns {string|undefined} Artifacts directory
+     */
+    saveArtifacts(err) {
+        if (this.driver) {
+            const pad = (n, len = 2) => n.toString().padStart(len, '0');
+            const d = new Date();
+            const name = `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}-` +
+                `${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}-${pad(d.getMilliseconds(), 3)}-${++artifactSeq}`;
+            const dir = path.join(this.workdir, this.options.artifacts.dir || 'artifacts', name);
+            try {
+                fs.mkdirSync(dir, {recursive: true});
+            }
+            catch (e) {
+                // keep the original error
+                return;
+            }
+            this.captureArtifacts(dir, err);
+            return dir;
+        }
+    }
+
+    /**
+     * Capture failure artifacts into directory. Each artifact which can't be
+     * captured is skipped.
+     *
+     * @param {string} dir Artifacts directory
+     * @param {Error} err The error
+     * @returns {Promise<string[]>} Saved artifact file names
+     */
+    captureArtifacts(dir, err) {
+        const files = [];
+        const save = (filename, f) => f()
+            .then(content => {
+                if (content !== undefined) {
+                    fs.writeFileSync(path.join(dir, filename), content);
+                    files.push(filename);
+                }
+            })
+            .catch(() => null);
+        return Promise.all([
+            save('error.txt', () => Promise.resolve(err instanceof Error ? err.stack : String(err))),
+            save('url.txt', () => this.driver.getCurrentUrl()),
+            save('screenshot.png', () => this.driver.takeScreenshot().then(data => Buffer.from(data, 'base64'))),
+            save('page.html', () => this.driver.getPageSource()),
+            save('console.log', () => this.driver.manage().logs().get(logging.Type.BROWSER)
+                .then(entries => entries
+                    .map(e => `${new Date(e.timestamp).toISOString()} [${e.level.name}] ${e.message}`)
+                    .join('\n'))),
+        ])
+        .then(() => files);
     }
 
     /**
@@ -327,11 +793,19 @@ class WebRobot {
     open(url) {
         url = url || this.url;
         if (this._url === url && this.driver) {
-            return Promise.resolve();
+            // only skip when the session is still alive
+            return this.isAlive()
+                .then(alive => {
+                    if (!alive) {
+                        return this.resetDriver()
+                            .then(() => this.open(url));
+                    }
+                });
         }
         return this.works([
             [w => this.getDriver()],
             [w => this.driver.get(url)],
+            [w => this.restoreSession(), w => this.getSessionPersistence().restore],
             [w => new Promise((resolve, reject) => {
                 this._url = url;
                 if (this.browser === this.constructor.FIREFOX) {
@@ -342,6 +816,7 @@ class WebRobot {
                 }
                 resolve();
             })],
+            [w => this.notify('navigate', url)],
         ]);
     }
 
@@ -355,16 +830,298 @@ class WebRobot {
             return Promise.resolve();
         }
         return this.works([
-            [w => this.driver.quit()],
+            [w => this.exportSession()
+                .catch(err => this.warn('Unable to save session', err)),
+                w => this.getSessionPersistence().save],
+            [w => this.resetDriver()],
+            [w => this.notify('close')],
         ], {
+            recover: false,
+            // always forget the driver even when quit is failed
             done: () => new Promise((resolve, reject) => {
                 delete this.driver;
                 delete this._url;
+                delete this._restored;
                 resolve();
             })
         });
     }
 
+    /**
+     * Get session persistence options.
+     *
+     * @returns {{file: string, restore: boolean, save: boolean}}
+     */
+    getSessionPersistence() {
+        const persist = this.options.persistSession;
+        if (!persist) {
+            return {restore: false, save: false};
+        }
+        const options = typeof persist === 'object' ? persist : {};
+        return {
+            file: options.file,
+            restore: options.restore !== undefined ? options.restore : true,
+            save: options.save !== undefined ? options.save : true,
+        };
+    }
+
+    /**
+     * Get session file which holds cookies and storages of each origin. The
+     * file is independent of browser so it can be shared between browsers.
+     *
+     * @returns {string}
+     */
+    getSessionFile() {
+        const file = this.getSessionPersistence().file;
+        if (file) {
+            return path.isAbsolute(file) ? file : path.join(this.workdir, file);
+        }
+        return path.join(this.workdir, 'sessions', `${this.session || 'default'}.json`);
+    }
+
+    /**
+     * Read session file.
+     *
+     * @param {string} filename Session file
+     * @returns {{session: string, updated: string, origins: object}}
+     */
+    readSessionFile(filename) {
+        if (fs.existsSync(filename)) {
+            const data = JSON.parse(fs.readFileSync(filename));
+            if (data.origins) {
+                return data;
+            }
+        }
+        return {session: this.session, origins: {}};
+    }
+
+    /**
+     * Export cookies, local storage, and session storage of current page
+     * origin to session file. Other origins in the file are kept and the file
+     * is only readable by its owner.
+     *
+     * @param {string} filename Session file, default to getSessionFile()
+     * @returns {Promise<{cookies: object[], localStorage: object, sessionStorage: object}|undefined>}
+     */
+    exportSession(filename = null) {
+        filename = filename || this.getSessionFile();
+        return this.works([
+            [w => this.driver.getCurrentUrl()],
+            [w => this.driver.manage().getCookies(), w => /^https?:/.test(w.getRes(0))],
+            [w => this.driver.executeScript(`return (${Scripts.readStorage})();`), w => /^https?:/.test(w.getRes(0))],
+            [w => new Promise((resolve, reject) => {
+                const data = this.readSessionFile(filename);
+                const dir = path.dirname(filename);
+                if (!fs.existsSync(dir)) {
+                    fs.mkdirSync(dir, {recursive: true});
+                }
+                data.session = this.session;
+                data.updated = new Date().toISOString();
+                data.origins[new URL(w.getRes(0)).origin] = Object.assign({cookies: w.getRes(1)}, w.getRes(2));
+                // session contains credentials, only readable by owner
+                fs.writeFileSync(filename, JSON.stringify(data, null, 2), {mode: 0o600});
+                fs.chmodSync(filename, 0o600);
+                resolve(data.origins[new URL(w.getRes(0)).origin]);
+            }), w => /^https?:/.test(w.getRes(0))],
+        ]);
+    }
+
+    /**
+     * Import cookies, local storage, and session storage of current page
+     * origin from session file. Expired cookies are skipped and the page
+     * must be reloaded to take effect.
+     *
+     * @param {string} filename Session file, default to getSessionFile()
+     * @returns {Promise<number>} Number of imported items
+     */
+    importSession(filename = null) {
+        filename = filename || this.getSessionFile();
+        return this.works([
+            [w => this.driver.getCurrentUrl()],
+            [w => Promise.resolve(/^https?:/.test(w.getRes(0)) ?
+                this.readSessionFile(filename).origins[new URL(w.getRes(0)).origin] : undefined)],
+            [w => new Promise((resolve, reject) => {
+                let count = 0;
+                const now = Date.now() / 1000;
+                const cookies = (w.getRes(1).cookies || []).filter(cookie => cookie.expiry === undefined || cookie.expiry > now);
+                const q = new Queue(cookies, cookie => {
+                    this.driver.manage().addCookie(cookie)
+                        .then(() => {
+                            count++;
+                            q.next();
+                        })
+                        .catch(err => {
+                            // cookie of other domain is rejected by browser
+                            this.warn(`Unable to import cookie ${cookie.name}`, err);
+                            q.next();
+                        });
+                });
+                q.once('done', () => resolve(count));
+            }), w => w.getRes(1)],
+            [w => this.driver.executeScript(`return (${Scripts.writeStorage})(arguments[0]);`, w.getRes(1)), w => w.getRes(1)],
+            [w => Promise.resolve(w.getRes(1) ? w.getRes(2) + w.getRes(3) : 0)],
+        ]);
+    }
+
+    /**
+     * Restore session of current page origin once for each driver, and reload
+     * the page if something is restored.
+     *
+     * @returns {Promise<void>}
+     */
+    restoreSession() {
+        if (!this._restored) {
+            this._restored = new Set();
+        }
+        return this.works([
+            [w => this.driver.getCurrentUrl()],
+            [w => Promise.resolve(/^https?:/.test(w.getRes(0)) ? new URL(w.getRes(0)).origin : null)],
+            [w => this.importSession(), w => w.getRes(1) && !this._restored.has(w.getRes(1))],
+            [w => Promise.resolve(this._restored.add(w.getRes(1))), w => w.getRes(1)],
+            [w => this.driver.navigate().refresh(), w => w.getRes(2) > 0],
+        ]);
+    }
+
+    /**
+     * Open login page and log in if not already logged in. The login options
+     * are remembered, so when a works fails because the robot is no longer
+     * logged in and the login page is shown, it logs in again automatically.
+     *
+     * Usage:
+     *
+     * ```js
+     * await robot.login({
+     *     url: 'https://example.com/login',
+     *     form: By.id('login-form'),
+     *     values: [
+     *         {target: By.id('username'), value: 'me'},
+     *         {target: By.id('password'), value: 'secret'},
+     *     ],
+     *     submit: By.css('button[type="submit"]'),
+     *     loggedIn: By.id('logout'),
+     *     totp: {secret: 'JBSWY3DPEHPK3PXP', target: By.id('otp'), submit: By.id('verify')},
+     * });
+     * ```
+     *
+     * @param {object} options Login options
+     * @param {string} options.url Login page url
+     * @param {By} options.form Login form selector
+     * @param {Array} options.values Login form values, see fillInForm()
+     * @param {FormSchema} options.schema Login form schema, used with data instead of values
+     * @param {object} options.data Login form data
+     * @param {By|Function} options.submit Login form submit
+     * @param {object} options.formOptions Fill in form options
+     * @param {By|Function} options.loggedIn Logged in detector, a selector which present when logged in or a callback
+     * @param {object} options.totp Two factor authentication using TOTP
+     * @param {string} options.totp.secret Base32 encoded TOTP secret
+     * @param {By} options.totp.target Code input selector
+     * @param {By} options.totp.submit Code submit selector, default to press enter on code input
+     * @param {number} options.totp.digits Code length, default to 6
+     * @param {number} options.totp.period Time step in seconds, default to 30
+     * @param {number} options.timeout Time to wait for logged in (ms), default to robot timeout
+     * @param {boolean} options.relogin Log in again automatically, default to true
+     * @returns {Promise<boolean>} True if logged in, false if it was already logged in
+     */
+    login(options) {
+        options = Object.assign({relogin: true}, options);
+        if (!options.loggedIn) {
+            return Promise.reject(new Error('Login requires a logged in detector!'));
+        }
+        this._login = options;
+        this._loggingIn = true;
+        return this.works([
+            [w => this.open(options.url)],
+            [w => this.isLoggedIn()],
+            [w => this.fillInSchema(options.schema, options.data, options.form, options.submit, options.formOptions),
+                w => !w.getRes(1) && options.schema],
+            [w => this.fillInForm(options.values, options.form, options.submit, options.formOptions),
+                w => !w.getRes(1) && !options.schema],
+            [w => this.fillInTotp(options.totp), w => !w.getRes(1) && options.totp],
+            [w => this.driver.wait(() => this.isLoggedIn(), options.timeout || this.timeout)
+                .catch(err => Promise.reject(new LoginError('Still not logged in after submitting login form!', {cause: err}))),
+                w => !w.getRes(1)],
+            [w => this.notify('login', options), w => !w.getRes(1)],
+            [w => Promise.resolve(!w.getRes(1))],
+        ], {retry: false})
+        .finally(() => {
+            this._loggingIn = false;
+        });
+    }
+
+    /**
+     * Fill in TOTP code and submit it.
+     *
+     * @param {object} options TOTP options, see login()
+     * @returns {Promise<void>}
+     */
+    fillInTotp(options) {
+        return this.works([
+            [w => this.waitFor(options.target)],
+            [w => this.fillFormValue({target: options.target, value: totp(options.secret, options)})],
+            [w => this.click(options.submit), w => options.submit],
+            [w => w.getRes(0).sendKeys(Key.ENTER), w => !options.submit],
+        ]);
+    }
+
+    /**
+     * Check if robot is logged in using the login detector.
+     *
+     * @returns {Promise<boolean>}
+     */
+    isLoggedIn() {
+        const detector = this._login ? this._login.loggedIn : null;
+        if (!detector || !this.driver) {
+            return Promise.resolve(false);
+        }
+        if (typeof detector === 'function' && !Locator.isLocator(detector)) {
+            return Promise.resolve(detector(this))
+                .then(res => res ? true : false);
+        }
+        return this.findElements(detector)
+            .then(items => items.length > 0);
+    }
+
+    /**
+     * Check if current page is the login page, either its url is the login
+     * url or the login form is present.
+     *
+     * @returns {Promise<boolean>}
+     */
+    isLoginPage() {
+        const options = this._login;
+        if (!options || !this.driver) {
+            return Promise.resolve(false);
+        }
+        const strip = url => (url || '').replace(/[?#].*$/, '');
+        return this.driver.getCurrentUrl()
+            .then(url => {
+                if (options.url && strip(url) === strip(options.url)) {
+                    return true;
+                }
+                if (options.form) {
+                    return this.findElements(options.form)
+                        .then(items => items.length > 0);
+                }
+                return false;
+            });
+    }
+
+    /**
+     * Log in again using the last login options and re-open the last url.
+     *
+     * @param {Error} err The error causing re-login
+     * @returns {Promise<void>}
+     */
+    relogin(err) {
+        const url = this._url;
+        this.warn('Not logged in, logging in again', err);
+        return this.works([
+            [w => this.notify('relogin', err)],
+            [w => this.login(this._login)],
+            [w => this.open(url), w => url && url !== this._login.url],
+        ], {retry: false});
+    }
+
     /**
      * Do fill in form.
      *
@@ -375,6 +1132,8 @@ class WebRobot {
      * @param {number} options.wait Submit wait time
      * @param {Function} options.prefillCallback Pre form fill callback
      * @param {Function} options.postfillCallback Post form fill callback
+     * @param {boolean|object} options.verify Verify form values after filled
+     * @param {boolean} options.verify.retry Refill mismatched values once before rejecting
      * @returns {Promise<WebElement>}
      */
     fillInForm(values, form, submit, options = null) {
@@ -403,10 +1162,7 @@ class WebRobot {
                             q.next();
                         }
                     }
-                    // set parent if target is a relative path
-                    if (data.parent === undefined && data.target.using === 'xpath' && data.target.value.startsWith('.')) {
-                        data.parent = w.getRes(0);
-                    }
+                    this.setFormValueParent(data, w.getRes(0), form);
                     data.handler = () => {
                         this.works([
                             [x => this.sleep(this.wait), x => data.wait],
@@ -446,6 +1202,7 @@ class WebRobot {
                 });
                 q.once('done', () => {
                     this.works([
+                        [x => this.verifyFormValues(values, options.verify), x => options.verify],
                         [x => options.postfillCallback(w.getRes(0)), w => typeof options.postfillCallback === 'function'],
                         [x => this.sleep(options.wait), x => submit && options.wait > 0],
                         [x => submit(), x => submit && typeof submit === 'function'],
@@ -460,22 +1217,61 @@ class WebRobot {
     }
 
     /**
-     * Do form field fill in.
+     * Set form value parent if its target is a relative path.
      *
      * @param {object} data Form value data
-     * @param {WebElement[]} data.elements Field elements
-     * @param {WebElement} data.parent Parent element
-     * @param {By} data.target Field selector
-     * @param {string} data.value Field value
-     * @param {valueConverterCallback} data.converter Value converter callback
-     * @param {valueFillCallback} data.onfill Value fill callback
-     * @param {valueCanFillCallback} data.canfill Value can fill callback
-     * @param {prefillCallback} data.prefill Pre fill callback
-     * @param {afterFillCallback} data.afterfill After fill callback
-     * @returns {Promise<void>}
+     * @param {WebElement} el Form element
+     * @param {By} form Form element selector
      */
-    fillFormValue(data) {
+    setFormValueParent(data, el, form) {
+        if (data.parent === undefined && ((data.target.using === 'xpath' && data.target.value.startsWith('.')) ||
+            Locator.isLocator(data.target))) {
+            data.parent = el;
+            data.parentLocator = form;
+        }
+        if (data.parent instanceof By) {
+            data.parentLocator = data.parent;
+        }
+    }
+
+    /**
+     * Do fill in form using form schema. Data is validated before any browser
+     * interaction and all invalid fields are reported at once.
+     *
+     * @param {FormSchema} schema Form schema
+     * @param {object} data Form data
+     * @param {By} form Form element selector
+     * @param {By|Function} submit Submit element selector
+     * @param {object} options The options, see fillInForm()
+     * @returns {Promise<WebElement>}
+     */
+    fillInSchema(schema, data, form, submit, options = null) {
         return this.works([
+            [w => Promise.resolve(schema.getValues(data))],
+            [w => this.fillInForm(w.getRes(0), form, submit, options)],
+        ]);
+    }
+
+    /**
+     * Do form field fill in.
+     *
+     * @param {object} data Form value data
+     * @param {WebElement[]} data.elements Field elements
+     * @param {WebElement} data.parent Parent element
+     * @param {By} data.target Field selector
+     * @param {string} data.value Field value
+     * @param {valueConverterCallback} data.converter Value converter callback
+     * @param {object} data.select Select options, see fillSelect()
+     * @param {valueFillCallback} data.onfill Value fill callback
+     * @param {valueCanFillCallback} data.canfill Value can fill callback
+     * @param {prefillCallback} data.prefill Pre fill callback
+     * @param {afterFillCallback} data.afterfill After fill callback
+     * @returns {Promise<void>}
+     */
+    fillFormValue(data) {
+        // hooks already called for an element are not called again on retry
+        const called = new Set();
+        const f = () => this.works([
             [w => Promise.resolve(Array.isArray(data.elements) ? data.elements :
                 (data.parent ? data.parent.findElements(data.target) : this.findElements(data.target)))],
             [w => Promise.reject(`Element ${data.target.value} not found!`), w => w.getRes(0).length === 0 && !data.optional],
@@ -495,18 +1291,28 @@ class WebRobot {
                         // custom fill in value
                         [x => new Promise((resolve, reject) => {
                             data.el = el;
+                            const idx = items.indexOf(el);
                             const f = () => {
                                 if (typeof data.onfill === 'function') {
+                                    if (called.has(`onfill-${idx}`)) {
+                                        return resolve(false);
+                                    }
                                     data.onfill(el, value)
-                                        .then(() => resolve(false))
+                                        .then(() => {
+                                            called.add(`onfill-${idx}`);
+                                            resolve(false);
+                                        })
                                         .catch(err => reject(err));
                                 } else {
-                                    resolve(true);
+                                    this.fillUsingHandler(el, value, data)
+                                        .then(handled => resolve(!handled))
+                                        .catch(err => reject(err));
                                 }
                             }
                             try {
-                                if (typeof data.prefill === 'function') {
+                                if (typeof data.prefill === 'function' && !called.has(`prefill-${idx}`)) {
                                     data.prefill(el, value);
+                                    called.add(`prefill-${idx}`);
                                 }
                                 if (typeof data.canfill === 'function') {
                                     data.canfill(x.getRes(0), el, value)
@@ -526,30 +1332,17 @@ class WebRobot {
                                 reject(err);
                             }
                         })],
-                        // select
-                        [x => this.fillSelect(el, value),
-                            x => x.getRes(2) === this.constructor.SELECT && x.getRes(4)],
-                        // radio
-                        [x => this.fillRadio(el, value),
-                            x => x.getRes(2) === this.constructor.RADIO && x.getRes(4)],
-                        // checkbox
-                        [x => this.fillCheckbox(el, value),
-                            x => x.getRes(2) === this.constructor.CHECKBOX && x.getRes(4)],
-                        // textarea
-                        [x => this.fillTextarea(el, value, data.clearUsingKey),
-                            x => x.getRes(2) === this.constructor.TEXTAREA && x.getRes(4)],
-                        // other inputs
-                        [x => this.fillInput(el, value, data.clearUsingKey),
-                            x => x.getRes(2) === this.constructor.OTHER && x.getRes(4)],
+                        // fill in value based on its input type
+                        [x => this.fillElement(el, value, x.getRes(2), data), x => x.getRes(4)],
                         // check staleness
                         [x => this.isStale(el)],
                         // validate required input
                         [x => el.getAttribute('required'),
-                            x => x.getRes(2) !== this.constructor.CHECKBOX && !x.getRes(10)],
+                            x => x.getRes(2) !== this.constructor.CHECKBOX && !x.getRes(6)],
                         [x => el.getAttribute('value'),
-                            x => x.getRes(11) === 'true'],
+                            x => x.getRes(7) === 'true'],
                         [x => Promise.reject(`Input ${data.target.value} is required!`),
-                            x => x.getRes(11) === 'true' && x.getRes(12) === ''],
+                            x => x.getRes(7) === 'true' && x.getRes(8) === ''],
                         [x => data.afterfill(el),
                             x => typeof data.afterfill === 'function'],
                     ])
@@ -559,11 +1352,308 @@ class WebRobot {
                 q.once('done', () => resolve());
             })]
         ]);
+        return this.notify('before-fill', data)
+        // elements found from selector can be re-located when it become stale
+        .then(() => Array.isArray(data.elements) ? f() : this.retryStale(f, () => {
+            if (data.parentLocator) {
+                return this.findElement(data.parentLocator)
+                    .then(res => {
+                        data.parent = res;
+                    });
+            }
+        }))
+        .then(() => this.notify('after-fill', data));
+    }
+
+    /**
+     * Fill element value based on its input type.
+     *
+     * @param {WebElement} el Element
+     * @param {any} value Value
+     * @param {number} input Input type, see getInputType()
+     * @param {object} data Form value data
+     * @returns {Promise<any>}
+     */
+    fillElement(el, value, input, data) {
+        data = data || {};
+        switch (input) {
+            case this.constructor.SELECT:
+                return this.fillSelect(el, value, data.select);
+            case this.constructor.RADIO:
+                return this.fillRadio(el, value);
+            case this.constructor.CHECKBOX:
+                return this.fillCheckbox(el, value);
+            case this.constructor.TEXTAREA:
+                return this.fillTextarea(el, value, data.clearUsingKey);
+            case this.constructor.COLOR:
+                return this.fillColor(el, value);
+            case this.constructor.RANGE:
+                return this.fillRange(el, value);
+            case this.constructor.FILE:
+                return this.fillFile(el, value);
+        }
+        if (this.constructor.DATETIMES.includes(input)) {
+            return this.fillDateTime(el, value, input);
+        }
+        return this.fillInput(el, value, data.clearUsingKey);
+    }
+
+    /**
+     * Fill form field using registered field handler.
+     *
+     * @param {WebElement} el Element
+     * @param {any} value Value
+     * @param {object} data Form value data
+     * @returns {Promise<boolean>} True if a field handler handles the element
+     */
+    fillUsingHandler(el, value, data) {
+        if (this.fieldHandlers.count === 0) {
+            return Promise.resolve(false);
+        }
+        return this.works([
+            [w => this.fieldHandlers.find(el, 'fill')],
+            [w => w.getRes(0).fill(el, value, data, this), w => w.getRes(0)],
+            [w => Promise.resolve(w.getRes(0) ? true : false)],
+        ]);
+    }
+
+    /**
+     * Read form field using registered field handler.
+     *
+     * @param {WebElement} el Element
+     * @param {object} data Form value data
+     * @returns {Promise<{handler: FieldHandler, value: any}|undefined>} Undefined if no field handler handles the element
+     */
+    readUsingHandler(el, data) {
+        if (this.fieldHandlers.count === 0) {
+            return Promise.resolve();
+        }
+        return this.works([
+            [w => this.fieldHandlers.find(el, 'read')],
+            [w => w.getRes(0).read(el, data, this), w => w.getRes(0)],
+            [w => Promise.resolve(w.getRes(0) ? {handler: w.getRes(0), value: w.getRes(1)} : undefined)],
+        ]);
+    }
+
+    /**
+     * Register a field handler for custom form widgets. The handler is used
+     * by fillFormValue() and form reading for all forms.
+     *
+     * Usage:
+     *
+     * ```js
+     * robot.addFieldHandler({
+     *     name: 'select2',
+     *     match: {tag: 'select', class: 'select2-hidden-accessible'},
+     *     fill: (el, value, data, robot) => robot.fillValueUsingScript(el, value),
+     *     read: (el, data, robot) => el.getAttribute('value'),
+     * });
+     * ```
+     *
+     * @param {FieldHandler|object} handler The handler or handler options
+     * @returns {FieldHandler}
+     */
+    addFieldHandler(handler) {
+        return this.fieldHandlers.add(handler);
+    }
+
+    /**
+     * Remove a registered field handler.
+     *
+     * @param {string|FieldHandler} handler Handler name or the handler
+     */
+    removeFieldHandler(handler) {
+        this.fieldHandlers.remove(handler);
+    }
+
+    /**
+     * Verify filled form values and reject with FormVerificationError if
+     * there are mismatched values.
+     *
+     * @param {Array} values Form values
+     * @param {boolean|object} options Verify options
+     * @param {boolean} options.retry Refill mismatched values once before rejecting
+     * @returns {Promise<void>}
+     */
+    verifyFormValues(values, options) {
+        if (typeof options !== 'object' || options === null) {
+            options = {};
+        }
+        return this.works([
+            [w => this.verifyForm(values)],
+            [w => new Promise((resolve, reject) => {
+                const diff = w.getRes(0);
+                const items = values.filter(data => diff.some(d => d.data === data));
+                const q = new Queue(items, data => {
+                    this.fillFormValue(data)
+                        .then(() => q.next())
+                        .catch(err => reject(err));
+                });
+                q.once('done', () => resolve());
+            }), w => w.getRes(0).length && options.retry],
+            [w => this.verifyForm(values.filter(data => w.getRes(0).some(d => d.data === data))),
+                w => w.getRes(0).length && options.retry],
+            [w => Promise.resolve(options.retry ? w.getRes(2) : w.getRes(0))],
+            [w => Promise.reject(new FormVerificationError(w.getRes(3))), w => w.getRes(3).length],
+        ]);
+    }
+
+    /**
+     * Verify form values by reading back each field. Fields filled using
+     * custom onfill or canfill callback are only verified if its verify is true,
+     * and fields with verify set to false are skipped.
+     *
+     * @param {Array} values Form values
+     * @returns {Promise<{name: string, target: By, expected: any, actual: any, data: object}[]>}
+     */
+    verifyForm(values) {
+        return new Promise((resolve, reject) => {
+            const diff = [];
+            const items = values.filter(data => data.verify !== false &&
+                (data.verify === true || (typeof data.onfill !== 'function' && typeof data.canfill !== 'function')));
+            const q = new Queue(items, data => {
+                let expected = typeof data.converter === 'function' ? data.converter(data.value) : data.value;
+                let actual;
+                this.readFormValue(data)
+                    .then(value => {
+                        actual = value;
+                        return typeof actual === 'string' || Array.isArray(actual) ? this.readInputType(data) : undefined;
+                    })
+                    .then(input => {
+                        expected = this.normalizeExpectedValue(expected, actual, input);
+                        if (actual !== undefined && !this.isSameValue(expected, actual, data.select)) {
+                            diff.push({name: data.name, target: data.target, expected, actual, data});
+                        }
+                        q.next();
+                    })
+                    .catch(err => reject(err));
+            });
+            q.once('done', () => resolve(diff));
+        });
+    }
+
+    /**
+     * Read form field value. Resolved value is undefined for optional field
+     * which is not found.
+     *
+     * @param {object} data Form value data
+     * @param {WebElement[]} data.elements Field elements
+     * @param {WebElement} data.parent Parent element
+     * @param {By} data.target Field selector
+     * @param {object} data.select Select options, read option text if its by is text
+     * @returns {Promise<string|string[]|boolean|null|undefined>}
+     */
+    readFormValue(data) {
+        return this.works([
+            [w => this.findFieldElements(data)],
+            [w => Promise.reject(`Element ${data.target.value} not found!`), w => w.getRes(0).length === 0 && !data.optional],
+            [w => this.readUsingHandler(w.getRes(0)[0], data), w => w.getRes(0).length],
+            [w => this.driver.executeScript(`return (${Scripts.fieldValue})(arguments[0], arguments[1]);`, w.getRes(0),
+                {text: data.select && data.select.by === 'text' ? true : false}),
+                w => w.getRes(0).length && !w.getRes(2)],
+            [w => Promise.resolve(w.getRes(0).length ? (w.getRes(2) ? w.getRes(2).value : w.getRes(3)) : undefined)],
+        ]);
+    }
+
+    /**
+     * Find form field elements. Resolved elements is empty for field which is
+     * not found.
+     *
+     * @param {object} data Form value data
+     * @param {WebElement[]} data.elements Field elements
+     * @param {WebElement} data.parent Parent element
+     * @param {By} data.target Field selector
+     * @returns {Promise<WebElement[]>}
+     */
+    findFieldElements(data) {
+        return Promise.resolve(Array.isArray(data.elements) ? data.elements :
+            (data.parent ? data.parent.findElements(data.target) : this.findElements(data.target)));
+    }
+
+    /**
+     * Read form field input type, see getInputType(). Resolved value is
+     * undefined for field which is not found.
+     *
+     * @param {object} data Form value data, see readFormValue()
+     * @returns {Promise<number|undefined>}
+     */
+    readInputType(data) {
+        return this.works([
+            [w => this.findFieldElements(data)],
+            [w => w.getRes(0)[0].getTagName(), w => w.getRes(0).length],
+            [w => w.getRes(0)[0].getAttribute('type'), w => w.getRes(0).length],
+            [w => Promise.resolve(w.getRes(0).length ? this.getInputType(w.getRes(1), w.getRes(2)) : undefined)],
+        ]);
+    }
+
+    /**
+     * Normalize expected value to match the form of the actual value of date
+     * and time, color, and file input.
+     *
+     * @param {any} expected Expected value
+     * @param {any} actual Actual value
+     * @param {number} input Input type, see getInputType()
+     * @returns {any}
+     */
+    normalizeExpectedValue(expected, actual, input) {
+        // browser only reports file names without its path
+        if (input === this.constructor.FILE && Array.isArray(actual)) {
+            return (Array.isArray(expected) ? expected : [expected])
+                .filter(f => f !== null && f !== undefined && f !== '')
+                .map(f => path.basename(String(f)));
+        }
+        if (typeof actual === 'string' && expected !== null && expected !== undefined && typeof expected !== 'boolean') {
+            if (this.constructor.DATETIMES.includes(input)) {
+                const value = this.formatDateTime(expected, input);
+                return value !== undefined ? value : expected;
+            }
+            if (input === this.constructor.COLOR) {
+                return this.formatColor(expected) || expected;
+            }
+        }
+        return expected;
+    }
+
+    /**
+     * Compare expected form value with the actual one.
+     *
+     * @param {any} expected Expected value
+     * @param {any} actual Actual value
+     * @param {object} options The options
+     * @param {boolean} options.partial Compare case insensitive partially
+     * @returns {boolean}
+     */
+    isSameValue(expected, actual, options = null) {
+        options = options || {};
+        const matches = (v, s) => {
+            if (v instanceof RegExp) {
+                return v.test(s);
+            }
+            if (options.partial) {
+                return s.toLowerCase().indexOf(String(v).toLowerCase()) >= 0;
+            }
+            return String(v) === s;
+        }
+        if (Array.isArray(actual)) {
+            const values = Array.isArray(expected) ? expected : [expected];
+            if (values.some(v => v instanceof RegExp) || options.partial) {
+                return values.every(v => actual.some(s => matches(v, s))) &&
+                    actual.every(s => values.some(v => matches(v, s)));
+            }
+            return values.length === actual.length && values.every(v => actual.includes(String(v)));
+        }
+        if (typeof actual === 'boolean') {
+            return actual === (typeof expected === 'string' ? expected === 'true' : Boolean(expected));
+        }
+        if (expected === null || expected === undefined) {
+            return actual === null || actual === '';
+        }
+        return matches(expected, String(actual));
     }
 
     /**
      * Get input type. Input type returned will be one of SELECT, CHECKBOX, RADIO,
-     * TEXTAREA, or OTHER.
+     * TEXTAREA, DATE, DATETIME, TIME, MONTH, COLOR, RANGE, FILE, or OTHER.
      *
      * @param {string} tag Element tag name
      * @param {string} type Element type
@@ -573,10 +1663,34 @@ class WebRobot {
         let input = this.constructor.OTHER;
         switch (tag) {
             case 'input':
-                if (type === 'checkbox') {
-                    input = this.constructor.CHECKBOX;
-                } else if (type === 'radio') {
-                    input = this.constructor.RADIO;
+                switch (type) {
+                    case 'checkbox':
+                        input = this.constructor.CHECKBOX;
+                        break;
+                    case 'radio':
+                        input = this.constructor.RADIO;
+                        break;
+                    case 'date':
+                        input = this.constructor.DATE;
+                        break;
+                    case 'datetime-local':
+                        input = this.constructor.DATETIME;
+                        break;
+                    case 'time':
+                        input = this.constructor.TIME;
+                        break;
+                    case 'month':
+                        input = this.constructor.MONTH;
+                        break;
+                    case 'color':
+                        input = this.constructor.COLOR;
+                        break;
+                    case 'range':
+                        input = this.constructor.RANGE;
+                        break;
+                    case 'file':
+                        input = this.constructor.FILE;
+                        break;
                 }
                 break;
             case 'select':
@@ -590,15 +1704,44 @@ class WebRobot {
     }
 
     /**
-     * Fill a select element.
+     * Fill a select element. Only options of the select element are matched,
+     * for multiple select all the options not matched will be deselected.
      *
      * @param {WebElement} el Input element
-     * @param {string} value Input value
-     * @returns {Promise<WebElement>}
+     * @param {string|string[]|RegExp} value Input value, use array for multiple select
+     * @param {object} options The options
+     * @param {string} options.by Match option by value or text, default to value
+     * @param {boolean} options.partial Match option case insensitive partially
+     * @param {number|boolean} options.wait Wait for options to be available (ms), true to use default timeout
+     * @returns {Promise<void>}
      */
-    fillSelect(el, value) {
+    fillSelect(el, value, options = null) {
+        options = options || {};
+        const values = (Array.isArray(value) ? value : [value])
+            .filter(v => v !== null && v !== undefined)
+            .map(v => v instanceof RegExp ? {source: v.source, flags: v.flags} : v);
+        const timeout = options.wait === true ? this.timeout : options.wait;
+        const f = () => this.driver.executeScript(`return (${Scripts.selectOptions})(arguments[0], arguments[1], arguments[2]);`,
+            el, values, {by: options.by || 'value', partial: options.partial ? true : false});
         return this.works([
-            [w => this.click({el: el, data: By.xpath(`//option[@value="${value}"]`)})],
+            [w => this.driver.wait(() => f().then(res => res.missing.length === 0), timeout,
+                `Waiting for option ${Array.isArray(value) ? value.join(', ') : value} to be available`), w => timeout > 0 && values.length],
+            [w => f()],
+            [w => Promise.reject(`Option ${w.getRes(1).missing.join(', ')} not found!`), w => w.getRes(1).missing.length],
+            [w => Promise.reject(`Select doesn't allow multiple values!`), w => !w.getRes(1).multiple && values.length > 1],
+            [w => el.findElements(By.css('option'))],
+            [w => new Promise((resolve, reject) => {
+                const res = w.getRes(1);
+                // clicking an option of multiple select toggles its selection
+                const items = w.getRes(4).filter((opt, idx) => res.multiple ?
+                    res.selected[idx] !== res.matched.includes(idx) : res.matched[0] === idx && !res.selected[idx]);
+                const q = new Queue(items, opt => {
+                    opt.click()
+                        .then(() => q.next())
+                        .catch(err => reject(err));
+                });
+                q.once('done', () => resolve());
+            })],
         ]);
     }
 
@@ -611,7 +1754,8 @@ class WebRobot {
      */
     fillCheckbox(el, value) {
         return this.works([
-            [w => el.click(), w => el.isSelected() != value],
+            [w => el.isSelected()],
+            [w => el.click(), w => w.getRes(0) != value],
         ]);
     }
 
@@ -665,6 +1809,153 @@ class WebRobot {
         ]);
     }
 
+    /**
+     * Fill a date, datetime-local, time, or month input element. The value is
+     * set using script as typing into these inputs depends on browser locale.
+     *
+     * @param {WebElement} el Input element
+     * @param {Date|string} value Input value, a Date or an ISO date string
+     * @param {number} input Input type, one of DATE, DATETIME, TIME, or MONTH
+     * @returns {Promise<void>}
+     */
+    fillDateTime(el, value, input) {
+        return this.works([
+            [w => Promise.resolve(this.formatDateTime(value, input))],
+            [w => Promise.reject(`Invalid date value ${value}!`), w => w.getRes(0) === undefined],
+            [w => this.fillInputUsingScript(el, w.getRes(0))],
+        ]);
+    }
+
+    /**
+     * Fill a color input element.
+     *
+     * @param {WebElement} el Input element
+     * @param {string} value Input value in #rgb or #rrggbb notation
+     * @returns {Promise<void>}
+     */
+    fillColor(el, value) {
+        return this.works([
+            [w => Promise.resolve(this.formatColor(value))],
+            [w => Promise.reject(`Invalid color value ${value}!`), w => w.getRes(0) === undefined],
+            [w => this.fillInputUsingScript(el, w.getRes(0))],
+        ]);
+    }
+
+    /**
+     * Fill a range input element.
+     *
+     * @param {WebElement} el Input element
+     * @param {number} value Input value
+     * @returns {Promise<void>}
+     */
+    fillRange(el, value) {
+        return this.works([
+            [w => Promise.reject(`Invalid range value ${value}!`), w => value !== null && isNaN(value)],
+            [w => this.fillInputUsingScript(el, value === null ? '' : String(Number(value)))],
+        ]);
+    }
+
+    /**
+     * Fill a file input element. Relative path is resolved against working
+     * directory.
+     *
+     * @param {WebElement} el Input element
+     * @param {string|string[]} value File path or array of file paths for multiple files
+     * @returns {Promise<void>}
+     */
+    fillFile(el, value) {
+        const files = (Array.isArray(value) ? value : [value])
+            .filter(f => f !== null && f !== undefined && f !== '')
+            .map(f => path.resolve(this.workdir, f));
+        const missing = files.filter(f => !fs.existsSync(f));
+        return this.works([
+            [w => Promise.reject(`File ${missing.join(', ')} not found!`), w => missing.length],
+            [w => el.getAttribute('multiple'), w => files.length > 1],
+            [w => Promise.reject(`Input doesn't allow multiple files!`), w => files.length > 1 && w.getRes(1) !== 'true'],
+            [w => el.sendKeys(files.join('\n')), w => files.length],
+        ]);
+    }
+
+    /**
+     * Fill an input element using script by assigning its value and then
+     * dispatching input and change event. It is rejected when the browser
+     * sanitizes the value to empty.
+     *
+     * @param {WebElement} el Input element
+     * @param {string} value Input value
+     * @returns {Promise<void>}
+     */
+    fillInputUsingScript(el, value) {
+        return this.works([
+            [w => this.driver.executeScript(`return (${Scripts.setValue})(arguments[0], arguments[1]);`, el, value)],
+            [w => Promise.reject(`Unable to fill input, value ${value} is not accepted!`),
+                w => value !== '' && w.getRes(0) === ''],
+        ]);
+    }
+
+    /**
+     * Format a value as date and time input value.
+     *
+     * @param {Date|string} value The value, a Date or an ISO date string
+     * @param {number} input Input type, one of DATE, DATETIME, TIME, or MONTH
+     * @returns {string|undefined} Formatted value or undefined if value is not valid
+     */
+    formatDateTime(value, input) {
+        if (value === null || value === undefined || value === '') {
+            return '';
+        }
+        const formats = {
+            [this.constructor.DATE]: /^\d{4}-\d{2}-\d{2}$/,
+            [this.constructor.DATETIME]: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?$/,
+            [this.constructor.TIME]: /^\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?$/,
+            [this.constructor.MONTH]: /^\d{4}-\d{2}$/,
+        }
+        if (typeof value === 'string' && formats[input] && formats[input].test(value)) {
+            return value;
+        }
+        let d;
+        // date only ISO string is parsed as UTC, use local date instead
+        const match = typeof value === 'string' ? value.match(/^(\d{4})-(\d{2})(-(\d{2}))?$/) : null;
+        if (match) {
+            d = new Date(parseInt(match[1]), parseInt(match[2]) - 1, match[4] ? parseInt(match[4]) : 1);
+        } else {
+            d = value instanceof Date ? value : new Date(value);
+        }
+        if (isNaN(d.getTime())) {
+            return;
+        }
+        const pad = (n, len = 2) => n.toString().padStart(len, '0');
+        const date = `${pad(d.getFullYear(), 4)}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+        const time = `${pad(d.getHours())}:${pad(d.getMinutes())}` + (d.getSeconds() ? `:${pad(d.getSeconds())}` : '');
+        switch (input) {
+            case this.constructor.DATE:
+                return date;
+            case this.constructor.DATETIME:
+                return `${date}T${time}`;
+            case this.constructor.TIME:
+                return time;
+            case this.constructor.MONTH:
+                return date.substr(0, 7);
+        }
+    }
+
+    /**
+     * Format a value as color input value.
+     *
+     * @param {string} value The value in #rgb or #rrggbb notation
+     * @returns {string|undefined} Formatted value or undefined if value is not valid
+     */
+    formatColor(value) {
+        const match = typeof value === 'string' ? value.trim().match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i) : null;
+        if (match) {
+            let color = match[1].toLowerCase();
+            if (color.length === 3) {
+                color = color.split('').map(c => c + c).join('');
+            }
+            return `#${color}`;
+        }
+    }
+
     /**
      * Fill an element value using script.
      *
@@ -713,40 +2004,62 @@ class WebRobot {
     /**
      * Get form values.
      *
-     * @param {WebElement} form Form element
-     * @param {Array} fields Form fields
-     * @param {boolean} useId Use element id instead of xpath
+     * @param {WebElement|By} form Form element
+     * @param {string[]} fields Form fields, prefix with # to use element id
+     * @param {boolean} useId Use element id instead of name
      * @returns {Promise<object>}
+     * @see readForm()
      */
     getFormValues(form, fields, useId = false) {
-        return new Promise((resolve, reject) => {
-            const values = {};
-            const q = new Queue([...fields], field => {
-                const next = () => q.next();
-                let isId = useId;
-                if (field.substr(0, 1) === '#') {
-                    field = field.substr(1);
-                    isId = true;
-                }
-                this.works([
-                    [w => form.findElement(isId ? By.id(field) : By.xpath(`//*[@name="${field}"]`))],
-                    [w => w.res.getAttribute('type')],
-                    [w => w.pres.getAttribute(w.res === 'checkbox' ? 'checked' : 'value')],
-                ])
-                .then(value => {
-                    values[field] = value;
-                    next();
-                })
-                .catch(() => next());
-            });
-            q.once('done', () => resolve(values));
-        });
+        return this.works([
+            [w => this.readForm(form, fields, {useId})],
+            [w => Promise.resolve(w.getRes(0).values)],
+        ]);
+    }
+
+    /**
+     * Read form values. Values are typed, a checkbox is read as boolean, a
+     * checkbox group and a multiple select are read as array of values, a radio
+     * group is read as its checked value, and a number or range is read as number.
+     * Fields handled by a registered field handler are read using the handler.
+     * Fields which are not found inside the form are reported as missing.
+     *
+     * @param {WebElement|By} form Form element
+     * @param {string[]} fields Form fields, prefix with # to use element id, or omit to read all named fields
+     * @param {object} options The options
+     * @param {boolean} options.useId Use element id instead of name
+     * @returns {Promise<{values: object, types: object, missing: string[]}>}
+     */
+    readForm(form, fields = null, options = null) {
+        options = options || {};
+        return this.works([
+            [w => this.findElement(form), w => !(form instanceof WebElement)],
+            [w => this.driver.executeScript(`return (${Scripts.formValues})(arguments[0], arguments[1], arguments[2], ${Scripts.fieldValue});`,
+                form instanceof WebElement ? form : w.getRes(0), Array.isArray(fields) ? fields : null, options.useId ? true : false)],
+            [w => new Promise((resolve, reject) => {
+                const res = w.getRes(1);
+                const elements = res.elements;
+                delete res.elements;
+                const q = new Queue(this.fieldHandlers.count ? Object.keys(elements) : [], name => {
+                    this.readUsingHandler(elements[name], {name})
+                        .then(result => {
+                            if (result) {
+                                res.values[name] = result.value;
+                                res.types[name] = result.handler.name || 'custom';
+                            }
+                            q.next();
+                        })
+                        .catch(err => reject(err));
+                });
+                q.once('done', () => resolve(res));
+            })],
+        ]);
     }
 
     /**
      * Find elements.
      *
-     * @param {object|By} data Selector
+     * @param {object|By|Function} data Selector
      * @param {WebElement} data.el Parent element
      * @param {By} data.data Selector
      * @returns {Promise<WebElement[]>}
@@ -761,18 +2074,65 @@ class WebRobot {
     /**
      * Find element.
      *
-     * @param {object|By} data Selector
+     * @param {object|By|Function} data Selector
      * @param {WebElement} data.el Parent element
      * @param {By} data.data Selector
      * @returns {Promise<WebElement>}
      */
     findElement(data) {
+        const locator = data.el && data.data ? data.data : data;
+        if (Locator.isLocator(locator)) {
+            return this.findElements(data)
+                .then(items => {
+                    if (items.length === 0) {
+                        throw new error.NoSuchElementError(`Unable to locate element ${locator}!`);
+                    }
+                    return items[0];
+                });
+        }
         if (data.el && data.data) {
             return data.el.findElement(data.data);
         }
         return this.driver.findElement(data);
     }
 
+    /**
+     * Call function and retry it when rejected with StaleElementReferenceError,
+     * the function must re-locate the elements on each call.
+     *
+     * @param {Function} fn Function to call, must return a Promise
+     * @param {Function} onretry Called before next attempt
+     * @returns {Promise<any>}
+     */
+    retryStale(fn, onretry) {
+        const logger = WorkErrorLogger.create(this.options.loginfo);
+        return this.runRetry(this.staleRetry, fn, (err, attempt) => {
+            logger.retry(err, attempt, this.staleRetry, {robot: this});
+            if (typeof onretry === 'function') {
+                return onretry(err, attempt);
+            }
+        });
+    }
+
+    /**
+     * Call function using retry policy. The policy of each attempt is kept in
+     * async context, so failed attempts which will be retried are not logged
+     * as error.
+     *
+     * @param {RetryPolicy} policy Retry policy
+     * @param {Function} fn Function to call, must return a Promise
+     * @param {Function} onretry Called before next attempt
+     * @param {Function} filter Additional check whether error can be retried
+     * @param {boolean} marked True if error exhausting this policy is not retried by outer works()
+     * @returns {Promise<any>}
+     */
+    runRetry(policy, fn, onretry, filter, marked = false) {
+        return policy.run(attempt => {
+            const retries = [{policy, attempt, filter, marked}, ...(retryContext.getStore() || [])];
+            return retryContext.run(retries, () => fn(attempt));
+        }, onretry, filter);
+    }
+
     /**
      * Check if element is stale.
      *
@@ -796,43 +2156,110 @@ class WebRobot {
     /**
      * Perform click.
      *
-     * @param {object|By} data Selector
+     * @param {object|By|Function} data Selector
      * @param {WebElement} data.el Parent element
      * @param {By} data.data Selector
      * @returns {Promise<WebElement>}
      */
     click(data) {
-        return this.works([
+        return this.retryStale(() => this.works([
             [w => this.findElement(data)],
             [w => w.getRes(0).click()],
+            [w => this.notify('click', w.getRes(0), data)],
             [w => Promise.resolve(w.getRes(0))],
-        ]);
+        ]));
+    }
+
+    /**
+     * Fill a form field using async action API.
+     *
+     * @param {By|Function} target Field selector
+     * @param {any} value Field value
+     * @param {object} options Form value data options, see fillFormValue()
+     * @returns {Promise<void>}
+     * @see WebActions.fill()
+     */
+    fill(target, value, options = null) {
+        return this.actions.fill(target, value, options);
+    }
+
+    /**
+     * Select option(s) of a select element using async action API.
+     *
+     * @param {By|Function} target Select element selector
+     * @param {string|string[]|RegExp} value Option value, use array for multiple select
+     * @param {object} options Select options, see fillSelect()
+     * @returns {Promise<void>}
+     * @see WebActions.select()
+     */
+    select(target, value, options = null) {
+        return this.actions.select(target, value, options);
+    }
+
+    /**
+     * Get async action API.
+     *
+     * @returns {WebActions}
+     */
+    get actions() {
+        if (this._actions === undefined) {
+            this._actions = new WebActions(this);
+        }
+        return this._actions;
+    }
+
+    /**
+     * Get DevTools network API, only available for chrome based browser.
+     *
+     * @returns {WebNetwork}
+     */
+    get network() {
+        if (this._network === undefined) {
+            this._network = new WebNetwork(this, this.options.network);
+        }
+        return this._network;
+    }
+
+    /**
+     * Create a page object bound to this robot.
+     *
+     * @param {Function|object} page Page class or page options
+     * @param {object} options Page options when page is a class
+     * @returns {WebPage}
+     */
+    page(page, options = null) {
+        if (typeof page === 'function') {
+            return new page(this, options).applyOptions();
+        }
+        return new WebPage(this, page);
     }
 
     /**
      * Wait an element to present for defined timeout.
      *
-     * @param {By} data Selector
+     * @param {By|Function} data Selector
      * @returns {Promise<WebElement>}
      */
     waitFor(data) {
         return this.works([
-            [w => this.driver.wait(until.elementLocated(data), this.timeout)],
+            [w => this.driver.wait(until.elementLocated(data), this.timeout,
+                Locator.isLocator(data) ? `Waiting for element ${data} to be located` : undefined)],
         ]);
     }
 
     /**
      * Wait an element to present and then perform click.
      *
-     * @param {By} data Selector
+     * @param {By|Function} data Selector
      * @returns {Promise<WebElement>}
      */
     waitAndClick(data) {
-        return this.works([
+        return this.retryStale(() => this.works([
             [w => this.waitFor(data)],
             [w => w.getRes(0).click()],
+            [w => this.notify('click', w.getRes(0), data)],
             [w => Promise.resolve(w.getRes(0))],
-        ]);
+        ]));
     }
 
     /**
@@ -857,10 +2284,10 @@ class WebRobot {
                 values = [...items];
             }
             const q = new Queue(values, item => {
-                this.works([
+                this.retryStale(() => this.works([
                     [w => parent.findElement(item)],
                     [w => w.res.getAttribute('innerText')],
-                ])
+                ]))
                 .then(text => {
                     if (keys) {
                         result[keys[seq++]] = text;
@@ -875,6 +2302,238 @@ class WebRobot {
         });
     }
 
+    /**
+     * Extract table into records. Table headers become the record keys, when
+     * table has multiple header rows, the header texts of a column are joined
+     * with a space. Cells spanning several columns or rows are repeated in
+     * each of its positions.
+     *
+     * Usage:
+     *
+     * ```js
+     * const records = await robot.extractTable(By.id('orders'), {
+     *     columns: {
+     *         'No': {name: 'id', type: 'attr', attr: 'data-id'},
+     *         'Date': {type: 'date', format: 'DD/MM/YYYY'},
+     *         'Total': {type: 'number', decimal: ','},
+     *         'Detail': 'href',
+     *     },
+     *     next: By.css('.pagination .next'),
+     * });
+     * ```
+     *
+     * @param {By|WebElement} table Table element
+     * @param {object} options The options
+     * @param {string[]} options.headers Record keys, replacing table headers
+     * @param {Object<string, FieldSpec>} options.columns Column spec keyed by header, see Extractor
+     * @param {boolean} options.only Only extract columns listed in columns
+     * @param {By} options.next Next page control, see extractPages()
+     * @param {number} options.maxPages Maximum number of pages
+     * @returns {Promise<object[]>}
+     */
+    extractTable(table, options = null) {
+        options = options || {};
+        return this.extractPages(() => this.works([
+            [w => table instanceof WebElement ? Promise.resolve(table) : this.findElement(table)],
+            [w => this.driver.executeScript(`return (${Scripts.tableRows})(arguments[0]);`, w.getRes(0))],
+            [w => this.driver.getCurrentUrl()],
+            [w => w.getRes(0).findElements(By.xpath('./tr | ./*/tr'))],
+            [w => Promise.resolve({
+                records: new Extractor({baseUrl: w.getRes(2)}).tableRecords(w.getRes(1), options),
+                el: w.getRes(3).length ? w.getRes(3)[w.getRes(3).length - 1] : w.getRes(0),
+            })],
+        ]), options);
+    }
+
+    /**
+     * Extract repeated elements into records.
+     *
+     * Usage:
+     *
+     * ```js
+     * const products = await robot.extractList(By.css('.product-card'), {
+     *     name: {selector: 'h3'},
+     *     price: {selector: '.price', type: 'number'},
+     *     url: {selector: 'a', type: 'href'},
+     *     sku: {type: 'attr', attr: 'data-sku'},
+     * }, {next: By.css('a[rel="next"]'), maxPages: 10});
+     * ```
+     *
+     * @param {By} items Item elements selector
+     * @param {Object<string, FieldSpec>} fields Field specs, field without selector is read from the item itself
+     * @param {object} options The options
+     * @param {WebElement} options.parent Parent element
+     * @param {By} options.next Next page control, see extractPages()
+     * @param {number} options.maxPages Maximum number of pages
+     * @returns {Promise<object[]>}
+     */
+    extractList(items, fields, options = null) {
+        options = options || {};
+        const extractor = new Extractor();
+        return this.extractPages(() => this.works([
+            [w => this.findElements(options.parent ? {el: options.parent, data: items} : items)],
+            [w => this.driver.executeScript(`return (${Scripts.listItems})(arguments[0], arguments[1]);`,
+                w.getRes(0), extractor.getSelectors(fields))],
+            [w => this.driver.getCurrentUrl()],
+            [w => Promise.resolve(extractor.options.baseUrl = w.getRes(2))],
+            [w => Promise.resolve({
+                records: extractor.listRecords(w.getRes(1), fields),
+                el: w.getRes(0).length ? w.getRes(0)[0] : null,
+            })],
+        ]), options);
+    }
+
+    /**
+     * Extract records of each page. After the records of a page extracted, the
+     * next control is clicked unless it's missing, hidden, or disabled, and
+     * then the extraction continues once the page content has been replaced.
+     *
+     * @param {Function} extract A function returning promise of records and an element of current page
+     * @param {object} options The options
+     * @param {By} options.next Next page control selector
+     * @param {number} options.maxPages Maximum number of pages, 0 for unlimited
+     * @param {number|Function} options.wait Wait after next clicked, either milliseconds or a function,
+     * default to wait until page element is gone
+     * @returns {Promise<object[]>}
+     */
+    extractPages(extract, options) {
+        const result = [];
+        let page = 0;
+        return new Promise((resolve, reject) => {
+            const f = () => {
+                this.works([
+                    [w => extract()],
+                    [w => Promise.resolve(result.push(...w.getRes(0).records))],
+                    [w => this.findElements(options.next), w => options.next && (!options.maxPages || ++page < options.maxPages)],
+                    [w => w.getRes(2)[0].isDisplayed(), w => w.getRes(2) && w.getRes(2).length],
+                    [w => this.driver.executeScript(`return (${Scripts.isDisabled})(arguments[0]);`, w.getRes(2)[0]),
+                        w => w.getRes(3)],
+                    [w => this.click(options.next), w => w.getRes(3) && !w.getRes(4)],
+                    [w => options.wait(this), w => w.getRes(5) && typeof options.wait === 'function'],
+                    [w => this.sleep(options.wait), w => w.getRes(5) && typeof options.wait === 'number'],
+                    [w => this.driver.wait(until.stalenessOf(w.getRes(0).el), this.timeout,
+                        'Waiting for next page to be loaded'),
+                        w => w.getRes(5) && options.wait === undefined && w.getRes(0).el],
+                    [w => Promise.resolve(w.getRes(5))],
+                ])
+                .then(next => next ? f() : resolve(result))
+                .catch(err => reject(err));
+            }
+            f();
+        });
+    }
+
+    /**
+     * Take a snapshot of current page or an element HTML to be queried locally.
+     *
+     * @param {By|WebElement} el Element to snapshot, default to whole page
+     * @returns {Promise<PageSnapshot>}
+     * @see PageSnapshot
+     */
+    snapshot(el = null) {
+        return this.works([
+            [w => this.driver.getCurrentUrl()],
+            [w => this.driver.getPageSource(), w => !el],
+            [w => el instanceof WebElement ? Promise.resolve(el) : this.findElement(el), w => el],
+            [w => w.getRes(2).getAttribute('outerHTML'), w => el],
+            [w => Promise.resolve(new PageSnapshot(el ? w.getRes(3) : w.getRes(1), {url: w.getRes(0)}))],
+        ]);
+    }
+
+    /**
+     * Trigger a download and wait until it's completed. New files in download
+     * directory are watched, a download is considered completed when there is
+     * no partial file left and its size doesn't change between two checks.
+     *
+     * @param {By|Function} trigger Element selector to click or a function to call
+     * @param {object} options The options
+     * @param {number} options.count Number of files expected, default to 1
+     * @param {number} options.timeout Download timeout (ms), default to 60000
+     * @param {number} options.interval Check interval (ms), default to 500
+     * @param {string|string[]|Function} options.rename New file name, relative to download directory, or a
+     * callback called with the downloaded file path and its index. When a file name is used for more than one
+     * file, the file index starting from 1 is appended such as report-1.pdf
+     * @returns {Promise<string|string[]>} Downloaded file path, or array of paths if count is more than one
+     */
+    download(trigger, options = null) {
+        options = Object.assign({count: 1, timeout: 60000, interval: 500}, options);
+        const downloaddir = this.options.downloaddir;
+        if (!downloaddir) {
+            return Promise.reject(new Error('Download requires downloaddir option!'));
+        }
+        let existing;
+        return this.works([
+            [w => Promise.resolve(existing = this.getDownloadFiles())],
+            [w => trigger(), w => typeof trigger === 'function' && !Locator.isLocator(trigger)],
+            [w => this.click(trigger), w => typeof trigger !== 'function' || Locator.isLocator(trigger)],
+            [w => new Promise((resolve, reject) => {
+                const started = Date.now();
+                let last;
+                const f = () => {
+                    const files = this.getDownloadFiles();
+                    const items = Object.keys(files).filter(file => existing[file] === undefined ||
+                        existing[file].mtimeMs !== files[file].mtimeMs);
+                    const partials = items.filter(file => this.constructor.PARTIAL_DOWNLOADS.includes(path.extname(file)) ||
+                        file.startsWith('.com.google.Chrome.'));
+                    // firefox creates the target file along with its partial file
+                    const completed = items.filter(file => !partials.includes(file) &&
+                        !this.constructor.PARTIAL_DOWNLOADS.some(ext => files[file + ext]));
+                    const sizes = completed.map(file => `${file}:${files[file].size}`).join('|');
+                    if (partials.length === 0 && completed.length >= options.count && sizes === last) {
+                        return resolve(completed
+                            .sort((a, b) => files[a].mtimeMs - files[b].mtimeMs)
+                            .map(file => path.join(downloaddir, file)));
+                    }
+                    last = sizes;
+                    if (Date.now() - started > options.timeout) {
+                        return reject(new error.TimeoutError(`Download not completed after ${options.timeout} ms, ` +
+                            `got ${completed.length} of ${options.count} file(s)!`));
+                    }
+                    setTimeout(f, options.interval);
+                }
+                f();
+            })],
+            [w => Promise.resolve(w.getRes(3).map((file, idx, files) => {
+                let name = typeof options.rename === 'function' ? options.rename(file, idx) :
+                    (Array.isArray(options.rename) ? options.rename[idx] : options.rename);
+                // avoid overwriting previous file
+                if (name && typeof options.rename === 'string' && files.length > 1) {
+                    const ext = path.extname(name);
+                    name = `${name.substr(0, name.length - ext.length)}-${idx + 1}${ext}`;
+                }
+                if (name) {
+                    name = path.isAbsolute(name) ? name : path.join(downloaddir, name);
+                    if (!fs.existsSync(path.dirname(name))) {
+                        fs.mkdirSync(path.dirname(name), {recursive: true});
+                    }
+                    fs.renameSync(file, name);
+                    return name;
+                }
+                return file;
+            }))],
+            [w => Promise.resolve(options.count > 1 ? w.getRes(4) : w.getRes(4)[0])],
+        ], {retry: false});
+    }
+
+    /**
+     * Get files in download directory.
+     *
+     * @returns {Object<string, fs.Stats>}
+     */
+    getDownloadFiles() {
+        const result = {};
+        const downloaddir = this.options.downloaddir;
+        if (downloaddir && fs.existsSync(downloaddir)) {
+            for (const file of fs.readdirSync(downloaddir)) {
+                const stat = fs.statSync(path.join(downloaddir, file), {throwIfNoEntry: false});
+                if (stat && stat.isFile()) {
+                    result[file] = stat;
+                }
+            }
+        }
+        return result;
+    }
+
     /**
      * Truncate HTML text to the maximum length allowed.
      *
@@ -970,6 +2629,16 @@ class WebRobot {
     static get RADIO() { return 3 }
     static get TEXTAREA() { return 4 }
     static get OTHER() { return 5 }
+    static get DATE() { return 6 }
+    static get DATETIME() { return 7 }
+    static get TIME() { return 8 }
+    static get MONTH() { return 9 }
+    static get COLOR() { return 10 }
+    static get RANGE() { return 11 }
+    static get FILE() { return 12 }
+    static get DATETIMES() { return [this.DATE, this.DATETIME, this.TIME, this.MONTH] }
+
+    static get PARTIAL_DOWNLOADS() { return ['.crdownload', '.part', '.download', '.tmp'] }
 }
 
 /**
@@ -994,16 +2663,31 @@ class WorkErrorLogger {
     onerror(options) {
         if (!options.onerror) {
             options.onerror = w => {
-                if (w.err instanceof Error && WebRobot.isErr(w.err)) {
-                    const logger = typeof options.logger === 'function' ? options.logger :
-                        (typeof this.parameters.onerror === 'function' ? this.parameters.onerror() : console.error);
+                // failed attempt will be retried or recovered, it's logged as retry or warning instead
+                const robot = options.robot;
+                if (w.err instanceof Error && WebRobot.isErr(w.err) && !this.constructor.willRetry(w.err) &&
+                    !(robot instanceof WebRobot && robot.willRecover(w.err))) {
                     if (!this.errors.includes(w.err) && !w.err.cause) {
                         this.errors.push(w.err);
-                        const offendingLines = this.unindent(w.current.info);
-                        logger('Got error while doing:\n%s\n%s', offendingLines, w.err.toString());
+                        const event = this.createEvent('error', w.err, options, {step: this.unindent(w.current.info)});
+                        let artifacts;
+                        try {
+                            artifacts = typeof options.artifact === 'function' ? options.artifact(w.err) : null;
+                        }
+                        catch (err) {
+                            artifacts = null;
+                        }
+                        if (artifacts) {
+                            event.artifacts = artifacts;
+                        }
+                        this.emit(event, options);
+                        if (robot instanceof EventEmitter && robot.listenerCount('error')) {
+                            robot.emit('error', w.err, event);
+                        }
                     } else {
                         const lines = w.current.info.split('\n');
-                        logger('-> %s', lines[0].trimEnd() + (lines.length > 1 ? ' ...' : ''));
+                        this.emit(this.createEvent('trace', w.err, options,
+                            {step: lines[0].trimEnd() + (lines.length > 1 ? ' ...' : '')}), options);
                     }
                 }
             }
@@ -1011,6 +2695,98 @@ class WorkErrorLogger {
         return options;
     }
 
+    /**
+     * Log work retry.
+     *
+     * @param {Error} err The error causing retry
+     * @param {number} attempt Failed attempt number
+     * @param {RetryPolicy} policy Retry policy
+     * @param {object} options Work options
+     */
+    retry(err, attempt, policy, options) {
+        this.emit(this.createEvent('retry', err, options,
+            {retry: {attempt: attempt + 1, attempts: policy.attempts, delay: policy.getDelay(attempt)}}), options);
+    }
+
+    /**
+     * Create a structured log event.
+     *
+     * @param {string} type Event type, can be error, trace, retry, or warn
+     * @param {Error} err The error
+     * @param {object} options Work options
+     * @param {object} data Additional event data
+     * @returns {LogEvent}
+     */
+    createEvent(type, err, options, data) {
+        const causes = [];
+        let cause = err instanceof Error ? err.cause : null;
+        while (cause) {
+            causes.push(LogSink.serialize(cause));
+            cause = cause instanceof Error ? cause.cause : null;
+        }
+        const context = options.robot && typeof options.robot.getLogContext === 'function' ?
+            options.robot.getLogContext() : {};
+        return Object.assign({
+            time: new Date().toISOString(),
+            type,
+            tag: this.getParameters(options).tag || this.constructor.name,
+            step: null,
+            error: LogSink.serialize(err),
+            causes,
+            retries: options.attempt ? options.attempt - 1 : 0,
+        }, context, data);
+    }
+
+    /**
+     * Write event to log sinks.
+     *
+     * @param {LogEvent} event The event
+     * @param {object} options Work options
+     */
+    emit(event, options) {
+        for (const sink of this.getSinks(options)) {
+            try {
+                sink.write(event);
+            }
+            catch (err) {
+                console.error('Log sink %s failed: %s', sink.constructor.name, err);
+            }
+        }
+    }
+
+    /**
+     * Get log sinks. Work logger option takes precedence over sinks parameter,
+     * and if none is configured, the text sink is used.
+     *
+     * @param {object} options Work options
+     * @returns {LogSink[]}
+     */
+    getSinks(options) {
+        if (typeof options.logger === 'function') {
+            return [new TextSink(options.logger)];
+        }
+        const parameters = this.getParameters(options);
+        if (Array.isArray(parameters.sinks) && parameters.sinks.length) {
+            return parameters.sinks;
+        }
+        return [new TextSink(typeof parameters.onerror === 'function' ? parameters.onerror() : console.error)];
+    }
+
+    /**
+     * Get logger parameters. As logger is shared by robots having the same
+     * tag, parameters of the robot in work options is used if available.
+     *
+     * @param {object} options Work options
+     * @returns {object}
+     */
+    getParameters(options) {
+        const robot = options.robot;
+        if (robot instanceof WebRobot) {
+            return robot.options.loginfo || {};
+        }
+        return this.parameters;
+    }
+
     /**
      * Perform line un-indentation.
      *
@@ -1042,11 +2818,35 @@ class WorkErrorLogger {
     }
 
     /**
-     * Create error logger.
+     * Check if error will be retried by one of the retry policy in current
+     * async context.
+     *
+     * @param {Error} err The error
+     * @returns {boolean}
+     */
+    static willRetry(err) {
+        for (const retry of retryContext.getStore() || []) {
+            if (retry.policy.isRetryable(err) && (typeof retry.filter !== 'function' || retry.filter(err))) {
+                if (retry.attempt < retry.policy.attempts) {
+                    return true;
+                }
+                if (retry.marked) {
+                    return false;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Create error logger, the logger is shared by tag. Log sinks and error
+     * logger function are resolved from the robot of each work, see
+     * getParameters().
      *
      * @param {object} parameters The parameters
      * @param {string} parameters.tag Tag name
      * @param {Function} parameters.onerror Error logger function factory, must return function
+     * @param {LogSink[]} parameters.sinks Log sinks, replacing the default text output
      * @returns {WorkErrorLogger}
      */
     static create(parameters) {
@@ -1063,5 +2863,32 @@ class WorkErrorLogger {
 }
 
 WebRobot.WorkErrorLogger = WorkErrorLogger;
+WebRobot.FormSchema = FormSchema;
+WebRobot.FormValidationError = FormValidationError;
+WebRobot.FormVerificationError = FormVerificationError;
+WebRobot.Locator = Locator;
+WebRobot.AmbiguousLocatorError = AmbiguousLocatorError;
+WebRobot.FieldHandler = FieldHandler;
+WebRobot.FieldHandlerRegistry = FieldHandlerRegistry;
+WebRobot.RetryPolicy = RetryPolicy;
+WebRobot.LogSink = LogSink;
+WebRobot.TextSink = TextSink;
+WebRobot.ConsoleSink = ConsoleSink;
+WebRobot.JsonLineSink = JsonLineSink;
+WebRobot.MemorySink = MemorySink;
+WebRobot.Tracer = Tracer;
+WebRobot.WebActions = WebActions;
+WebRobot.WebPage = WebPage;
+WebRobot.PageMismatchError = PageMismatchError;
+WebRobot.WebRobotPool = WebRobotPool;
+WebRobot.JobRunner = JobRunner;
+WebRobot.JobStore = JobStore;
+WebRobot.WebRobotPlugin = WebRobotPlugin;
+WebRobot.LoginError = LoginError;
+WebRobot.totp = totp;
+WebRobot.Extractor = Extractor;
+WebRobot.PageSnapshot = PageSnapshot;
+WebRobot.XPathEvaluator = XPathEvaluator;
+WebRobot.WebNetwork = WebNetwork;
 
 module.exports = WebRobot;
\ No newline at end of file
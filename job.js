@@ -0,0 +1,369 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { Queue } = require('@ntlab/work');
+const { LogSink } = require('./sink');
+const WebRobotPool = require('./pool');
+
+/**
+ * A job.
+ *
+ * @typedef {object} Job
+ * @property {string} id Job id
+ * @property {any} data Job data
+ * @property {string} status Job status, can be pending, running, done, or failed
+ * @property {number} attempts Number of runs
+ * @property {any} result Job result
+ * @property {LogError} error Job error
+ * @property {string} started Last start time in ISO format
+ * @property {string} finished Last finish time in ISO format
+ */
+
+/**
+ * A job handler callback.
+ *
+ * @callback jobHandlerCallback
+ * @param {WebRobot} robot The robot
+ * @param {any} data Job data
+ * @param {Job} job The job
+ * @returns {Promise<any>}
+ */
+
+/**
+ * Job store, persists jobs as JSON file. File is written atomically by
+ * writing a temporary file and then renaming it.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class JobStore {
+
+    /**
+     * Constructor.
+     *
+     * @param {string} filename Store file name
+     */
+    constructor(filename) {
+        this.filename = filename;
+    }
+
+    /**
+     * Load jobs.
+     *
+     * @returns {Job[]}
+     */
+    load() {
+        if (fs.existsSync(this.filename)) {
+            return JSON.parse(fs.readFileSync(this.filename)).jobs || [];
+        }
+        return [];
+    }
+
+    /**
+     * Save jobs.
+     *
+     * @param {Job[]} jobs Jobs
+     */
+    save(jobs) {
+        const dir = path.dirname(this.filename);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, {recursive: true});
+        }
+        const tmp = `${this.filename}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify({updated: new Date().toISOString(), jobs}, null, 2));
+        fs.renameSync(tmp, this.filename);
+    }
+}
+
+/**
+ * Job runner, runs batch of jobs using a robot or a robot pool and persists
+ * each job state so unfinished jobs are resumed after restart. A job which
+ * was running when the process stopped is run again.
+ *
+ * Emitted events:
+ * - `start`, a job is started
+ * - `success`, a job is done
+ * - `failure`, a job is failed
+ * - `done`, all jobs are processed
+ * - `error`, jobs can't be persisted
+ *
+ * Usage:
+ *
+ * ```js
+ * const runner = new JobRunner({name: 'submission', workdir: __dirname, robot,
+ *     handler: (robot, data) => robot.submit(data)});
+ * runner.add(records, record => record.id);
+ * const stats = await runner.run();
+ * ```
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class JobRunner extends EventEmitter {
+
+    /**
+     * Constructor.
+     *
+     * @param {object} options Runner options
+     * @param {string} options.name Job batch name, used as store file name
+     * @param {string} options.workdir Working directory, default to robot working directory, see getWorkdir()
+     * @param {WebRobot|WebRobotPool} options.robot Robot or robot pool to run jobs
+     * @param {jobHandlerCallback} options.handler Job handler
+     * @param {number} options.concurrency Number of parallel jobs, default to pool size
+     * @param {boolean} options.retryFailed Also run failed jobs
+     * @param {JobStore} options.store Job store, default to JSON store in workdir
+     * @param {Function} options.serialize Convert job result to be persisted, default to keep only JSON safe result
+     */
+    constructor(options) {
+        super();
+        this.options = options || {};
+        this.name = this.options.name || 'jobs';
+        this.robot = this.options.robot;
+        this.handler = this.options.handler;
+        if (!this.robot || typeof this.handler !== 'function') {
+            throw new Error('Job runner requires a robot and a handler!');
+        }
+        this.pooled = this.robot instanceof WebRobotPool;
+        this.concurrency = this.pooled ? (this.options.concurrency || this.robot.size) : 1;
+        const workdir = this.options.workdir || this.getWorkdir();
+        this.store = this.options.store || new JobStore(path.join(workdir, 'jobs', `${this.name}.json`));
+        this.jobs = this.store.load();
+        // a running job was interrupted
+        let resumed = false;
+        for (const job of this.jobs) {
+            if (job.status === this.constructor.RUNNING) {
+                job.status = this.constructor.PENDING;
+                resumed = true;
+            }
+        }
+        if (resumed) {
+            this.save();
+        }
+    }
+
+    /**
+     * Get default working directory, which is the robot working directory. For
+     * robot pool, it is the pool robot options working directory or the first
+     * robot working directory, default to current directory.
+     *
+     * @returns {string}
+     */
+    getWorkdir() {
+        if (!this.pooled) {
+            return this.robot.workdir;
+        }
+        const options = this.robot.options.options || {};
+        if (options.workdir) {
+            return options.workdir;
+        }
+        return this.robot.robots.length ? this.robot.robots[0].workdir : process.cwd();
+    }
+
+    /**
+     * Add jobs, a job with existing id is ignored so the same batch can be
+     * added again after restart.
+     *
+     * @param {Array} items Job data
+     * @param {Function} id A callback to get job id from data, default to item index
+     * @returns {Job[]} Added jobs
+     */
+    add(items, id) {
+        const added = [];
+        items.forEach((data, idx) => {
+            const jobId = String(typeof id === 'function' ? id(data, idx) : idx);
+            if (!this.get(jobId)) {
+                const job = {id: jobId, data, status: this.constructor.PENDING, attempts: 0};
+                this.jobs.push(job);
+                added.push(job);
+            }
+        });
+        if (added.length) {
+            this.save();
+        }
+        return added;
+    }
+
+    /**
+     * Get job.
+     *
+     * @param {string} id Job id
+     * @returns {Job|undefined}
+     */
+    get(id) {
+        return this.jobs.find(job => job.id === String(id));
+    }
+
+    /**
+     * Run pending jobs.
+     *
+     * @returns {Promise<{total: number, pending: number, done: number, failed: number}>}
+     */
+    run() {
+        return new Promise((resolve, reject) => {
+            let running = 0, finished = 0;
+            const items = this.jobs.filter(job => job.status === this.constructor.PENDING ||
+                (this.options.retryFailed && job.status === this.constructor.FAILED));
+            const count = items.length;
+            const done = () => {
+                this.emit('done', this.stats);
+                resolve(this.stats);
+            }
+            const q = new Queue(items, job => {
+                running++;
+                this.runJob(job)
+                    .then(() => {
+                        running--;
+                        if (++finished === count) {
+                            done();
+                        }
+                    })
+                    .catch(err => reject(err));
+                q.next();
+            }, () => running < this.concurrency);
+            if (count === 0) {
+                q.once('done', () => done());
+            }
+        });
+    }
+
+    /**
+     * Run a job and persist its state.
+     *
+     * @param {Job} job The job
+     * @returns {Promise<void>}
+     */
+    async runJob(job) {
+        job.status = this.constructor.RUNNING;
+        job.attempts++;
+        job.started = new Date().toISOString();
+        delete job.error;
+        delete job.finished;
+        this.save();
+        this.emit('start', job);
+        try {
+            const result = await (this.pooled ?
+                this.robot.run(robot => this.handler(robot, job.data, job)) :
+                this.handler(this.robot, job.data, job));
+            job.result = this.serialize(result);
+            job.status = this.constructor.DONE;
+        }
+        catch (err) {
+            job.status = this.constructor.FAILED;
+            job.error = LogSink.serialize(err);
+        }
+        job.finished = new Date().toISOString();
+        this.save();
+        this.emit(job.status === this.constructor.DONE ? 'success' : 'failure', job);
+    }
+
+    /**
+     * Reset failed jobs to pending.
+     */
+    resetFailed() {
+        this.jobs
+            .filter(job => job.status === this.constructor.FAILED)
+            .forEach(job => {
+                job.status = this.constructor.PENDING;
+            });
+        this.save();
+    }
+
+    /**
+     * Convert job result to be persisted. A result which is not JSON safe
+     * such as a WebElement is dropped.
+     *
+     * @param {any} result Job result
+     * @returns {any}
+     */
+    serialize(result) {
+        if (typeof this.options.serialize === 'function') {
+            return this.options.serialize(result);
+        }
+        const parents = new Set();
+        const isSafe = value => {
+            if (parents.has(value)) {
+                return false;
+            }
+            if (value === null || ['string', 'boolean'].includes(typeof value) || value instanceof Date) {
+                return true;
+            }
+            if (typeof value === 'number') {
+                return isFinite(value);
+            }
+            const nested = Array.isArray(value) ? value : (typeof value === 'object' &&
+                [Object.prototype, null].includes(Object.getPrototypeOf(value)) ? Object.values(value) : null);
+            if (nested) {
+                // a circular reference is unsafe
+                parents.add(value);
+                const safe = nested.every(v => (v === undefined && !Array.isArray(value)) || isSafe(v));
+                parents.delete(value);
+                return safe;
+            }
+            return false;
+        }
+        return isSafe(result) ? result : undefined;
+    }
+
+    /**
+     * Persist jobs.
+     */
+    save() {
+        try {
+            this.store.save(this.jobs);
+        }
+        catch (err) {
+            if (this.listenerCount('error')) {
+                this.emit('error', err);
+            } else {
+                console.error('Unable to save jobs: %s', err instanceof Error ? err.message : err);
+            }
+        }
+    }
+
+    /**
+     * Get jobs statistic.
+     *
+     * @returns {{total: number, pending: number, done: number, failed: number}}
+     */
+    get stats() {
+        const count = status => this.jobs.filter(job => job.status === status).length;
+        return {
+            total: this.jobs.length,
+            pending: count(this.constructor.PENDING) + count(this.constructor.RUNNING),
+            done: count(this.constructor.DONE),
+            failed: count(this.constructor.FAILED),
+        };
+    }
+
+    static get PENDING() { return 'pending' }
+    static get RUNNING() { return 'running' }
+    static get DONE() { return 'done' }
+    static get FAILED() { return 'failed' }
+}
+
+module.exports = {
+    JobRunner,
+    JobStore,
+}
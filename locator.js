@@ -0,0 +1,169 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const { WebElement } = require('selenium-webdriver');
+const Scripts = require('./script');
+
+/**
+ * Locate form controls by its accessible name. The returned locator is a
+ * Selenium custom locator function so it can be used anywhere a `By` is
+ * accepted.
+ *
+ * Usage:
+ *
+ * ```js
+ * const { Locator } = require('@ntlab/webrobot');
+ *
+ * robot.fillInForm([
+ *     {target: Locator.byLabel('User name'), value: 'me'},
+ *     {target: Locator.byPlaceholder(/password/i), value: 'secret'},
+ * ], By.id('login'), By.css('button[type="submit"]'));
+ * ```
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class Locator {
+
+    /**
+     * Create locator.
+     *
+     * @param {string} kind Locator kind, can be label, aria-label, aria-labelledby, placeholder, or name
+     * @param {string|RegExp} text Text to match
+     * @param {object} options The options
+     * @param {boolean} options.exact Match text exactly, default to true
+     * @param {boolean} options.multiple Allow multiple controls to match, such as radio group
+     * @returns {Function}
+     */
+    static create(kind, text, options = null) {
+        options = options || {};
+        const params = {exact: options.exact !== undefined ? options.exact : true};
+        if (text instanceof RegExp) {
+            params.pattern = {source: text.source, flags: text.flags};
+        } else {
+            params.text = String(text);
+        }
+        const locator = context => {
+            const isElement = context instanceof WebElement;
+            const driver = isElement ? context.getDriver() : context;
+            return driver.executeScript(`return (${Scripts.labelledControls})(arguments[0], arguments[1], arguments[2]);`,
+                isElement ? context : null, kind, params)
+                .then(items => {
+                    if (items.length > 1 && !options.multiple) {
+                        throw new AmbiguousLocatorError(`${locator} matches ${items.length} controls!`);
+                    }
+                    return items;
+                });
+        }
+        locator.using = kind;
+        locator.value = text instanceof RegExp ? text.toString() : params.text;
+        // search relative to form when used in fillInForm()
+        locator.relative = true;
+        locator.toString = () => `By(${kind}, ${text instanceof RegExp ? text : JSON.stringify(params.text)})`;
+        return locator;
+    }
+
+    /**
+     * Locate control by its `<label>` text.
+     *
+     * @param {string|RegExp} text Label text
+     * @param {object} options The options
+     * @returns {Function}
+     */
+    static byLabel(text, options = null) {
+        return this.create('label', text, options);
+    }
+
+    /**
+     * Locate control by its `aria-label` attribute.
+     *
+     * @param {string|RegExp} text Label text
+     * @param {object} options The options
+     * @returns {Function}
+     */
+    static byAriaLabel(text, options = null) {
+        return this.create('aria-label', text, options);
+    }
+
+    /**
+     * Locate control by text of elements referenced in its `aria-labelledby`
+     * attribute.
+     *
+     * @param {string|RegExp} text Label text
+     * @param {object} options The options
+     * @returns {Function}
+     */
+    static byAriaLabelledBy(text, options = null) {
+        return this.create('aria-labelledby', text, options);
+    }
+
+    /**
+     * Locate control by its `placeholder` attribute.
+     *
+     * @param {string|RegExp} text Placeholder text
+     * @param {object} options The options
+     * @returns {Function}
+     */
+    static byPlaceholder(text, options = null) {
+        return this.create('placeholder', text, options);
+    }
+
+    /**
+     * Locate control by any of label, aria-label, aria-labelledby, or placeholder.
+     *
+     * @param {string|RegExp} text Accessible name
+     * @param {object} options The options
+     * @returns {Function}
+     */
+    static byAccessibleName(text, options = null) {
+        return this.create('name', text, options);
+    }
+
+    /**
+     * Check if locator is created by this class.
+     *
+     * @param {any} locator Locator to check
+     * @returns {boolean}
+     */
+    static isLocator(locator) {
+        return typeof locator === 'function' && locator.relative === true && typeof locator.using === 'string';
+    }
+}
+
+/**
+ * Error thrown when a locator matches more than one control.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class AmbiguousLocatorError extends Error {
+
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+module.exports = {
+    Locator,
+    AmbiguousLocatorError,
+}
@@ -0,0 +1,102 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Decode base32 (RFC 4648) string, padding and spaces are ignored.
+ *
+ * @param {string} s Base32 string
+ * @returns {Buffer}
+ */
+function base32Decode(s) {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+    const bytes = [];
+    let bits = 0, value = 0;
+    for (const c of s.toUpperCase().replace(/[\s=-]/g, '')) {
+        const idx = alphabet.indexOf(c);
+        if (idx < 0) {
+            throw new Error(`Invalid base32 character ${c}!`);
+        }
+        value = (value << 5) | idx;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 0xff);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Generate time based one time password (RFC 6238).
+ *
+ * @param {string} secret Base32 encoded secret
+ * @param {object} options The options
+ * @param {number} options.digits Code length, default to 6
+ * @param {number} options.period Time step in seconds, default to 30
+ * @param {string} options.algorithm HMAC algorithm, default to sha1
+ * @param {number} options.time Unix time in milliseconds, default to now
+ * @returns {string}
+ */
+function totp(secret, options = null) {
+    options = options || {};
+    const digits = options.digits || 6;
+    const period = options.period || 30;
+    const time = options.time !== undefined ? options.time : Date.now();
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(Math.floor(time / 1000 / period)));
+    const hmac = crypto.createHmac(options.algorithm || 'sha1', base32Decode(secret))
+        .update(counter)
+        .digest();
+    // dynamic truncation (RFC 4226)
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % Math.pow(10, digits);
+    return code.toString().padStart(digits, '0');
+}
+
+/**
+ * Login error, thrown when still not logged in after submitting login form.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class LoginError extends Error {
+
+    /**
+     * Constructor.
+     *
+     * @param {string} message Error message
+     * @param {object} options Error options
+     */
+    constructor(message, options) {
+        super(message, options);
+        this.name = this.constructor.name;
+    }
+}
+
+module.exports = {
+    base32Decode,
+    totp,
+    LoginError,
+}
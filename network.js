@@ -0,0 +1,496 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const EventEmitter = require('events');
+const { error } = require('selenium-webdriver');
+
+/**
+ * A recorded network request.
+ *
+ * @typedef {object} NetworkEntry
+ * @property {string} id Request id
+ * @property {string} url Request url
+ * @property {string} method Request method
+ * @property {string} type Resource type such as Document, XHR, or Fetch
+ * @property {object} requestHeaders Request headers
+ * @property {string} postData Request post data
+ * @property {number} status Response status
+ * @property {string} mimeType Response mime type
+ * @property {object} responseHeaders Response headers
+ * @property {boolean} finished True when response is completely loaded
+ * @property {string} error Error text when request is failed
+ * @property {number} time Request time
+ */
+
+/**
+ * An url pattern, either a string with * as wildcard, a regular expression,
+ * or a function called with the entry.
+ *
+ * @typedef {string|RegExp|Function} UrlPattern
+ */
+
+/**
+ * Chrome DevTools Protocol based network API. It records page requests,
+ * waits for responses, blocks or mocks requests, and sets extra headers.
+ * Only available for chrome based browser. The connection is established
+ * on first use and reestablished as soon as robot driver is recreated such
+ * as on recovery, in which case the routes and extra headers are applied
+ * again.
+ *
+ * Emitted events:
+ * - request: (entry) a request is about to be sent
+ * - response: (entry) a response is completely loaded
+ * - failed: (entry) a request is failed
+ * - error: (err, request) a paused request can't be routed, logged as
+ *   warning when there is no listener
+ *
+ * Usage:
+ *
+ * ```js
+ * const network = robot.network;
+ * await network.connect();
+ * await network.setHeaders({'X-Requested-By': 'robot'});
+ * await network.block('*.png');
+ * await network.mock(/\/api\/config$/, {body: {feature: true}});
+ * const [data] = await Promise.all([
+ *     network.waitForJson(/\/api\/orders\?page=\d+/),
+ *     robot.click(By.id('load-orders')),
+ * ]);
+ * console.log(data);
+ * ```
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class WebNetwork extends EventEmitter {
+
+    entries = []
+    requests = new Map()
+    routes = []
+    waiters = []
+    headers = null
+
+    /**
+     * Constructor.
+     *
+     * @param {WebRobot} robot The robot
+     * @param {object} options The options
+     * @param {number} options.maxEntries Maximum number of recorded entries, default to 500
+     */
+    constructor(robot, options = null) {
+        super();
+        this.robot = robot;
+        this.options = options || {};
+        this.maxEntries = this.options.maxEntries !== undefined ? this.options.maxEntries : 500;
+    }
+
+    /**
+     * Connect to browser DevTools and enable network domain.
+     *
+     * @returns {Promise<void>}
+     */
+    async connect() {
+        const robot = this.robot;
+        if (this.connection && this.driver === robot.driver) {
+            return;
+        }
+        // share pending connection with concurrent callers
+        if (this._connecting && this._connecting.driver === robot.driver) {
+            return this._connecting;
+        }
+        const connecting = this._connecting = this.doConnect()
+            .finally(() => {
+                if (this._connecting === connecting) {
+                    delete this._connecting;
+                }
+            });
+        connecting.driver = robot.driver;
+        return connecting;
+    }
+
+    /**
+     * Create DevTools connection of robot driver.
+     *
+     * @returns {Promise<void>}
+     */
+    async doConnect() {
+        const robot = this.robot;
+        if (![robot.constructor.CHROME, robot.constructor.OPERA].includes(robot.browser)) {
+            throw new Error(`Network API is only available for chrome based browser, not ${robot.browser}!`);
+        }
+        if (!robot.driver) {
+            throw new Error('Network API requires an opened browser!');
+        }
+        this.driver = robot.driver;
+        const connection = await this.driver.createCDPConnection('page');
+        this.connection = connection;
+        this.fetching = false;
+        // the connection only exposes events through its web socket
+        const ws = connection._wsConnection;
+        ws.on('message', message => this.handle(message));
+        ws.on('close', () => {
+            if (this.connection === connection) {
+                delete this.connection;
+                this.rejectWaiters(new error.NoSuchSessionError('DevTools connection is closed!'));
+            }
+        });
+        await this.send('Network.enable');
+        if (this.headers) {
+            await this.send('Network.setExtraHTTPHeaders', {headers: this.headers});
+        }
+        await this.updateFetch();
+    }
+
+    /**
+     * Reconnect to recreated robot driver and apply the routes and extra
+     * headers again. Nothing is done if it was never connected. A failure is
+     * logged as warning.
+     *
+     * @returns {Promise<void>}
+     */
+    async restore() {
+        if (!this.driver || this.driver === this.robot.driver || (!this.routes.length && !this.headers)) {
+            return;
+        }
+        try {
+            await this.connect();
+        }
+        catch (err) {
+            this.robot.warn('Unable to restore network routes and headers', err);
+        }
+    }
+
+    /**
+     * Send DevTools command.
+     *
+     * @param {string} method Command name
+     * @param {object} params Command parameters
+     * @returns {Promise<object>}
+     */
+    async send(method, params = {}) {
+        if (!this.connection) {
+            throw new Error('Network API is not connected!');
+        }
+        const payload = await this.connection.send(method, params);
+        if (payload.error) {
+            throw new Error(`${method} failed: ${payload.error.message}!`);
+        }
+        return payload.result;
+    }
+
+    /**
+     * Handle DevTools message.
+     *
+     * @param {Buffer|string} message The message
+     */
+    handle(message) {
+        let data;
+        try {
+            data = JSON.parse(message.toString());
+        }
+        catch (err) {
+            return;
+        }
+        const params = data.params || {};
+        switch (data.method) {
+            case 'Network.requestWillBeSent': {
+                const entry = {
+                    id: params.requestId,
+                    url: params.request.url,
+                    method: params.request.method,
+                    type: params.type,
+                    requestHeaders: params.request.headers,
+                    postData: params.request.postData,
+                    finished: false,
+                    time: Date.now(),
+                }
+                this.requests.set(entry.id, entry);
+                this.entries.push(entry);
+                if (this.maxEntries > 0 && this.entries.length > this.maxEntries) {
+                    this.entries.splice(0, this.entries.length - this.maxEntries);
+                }
+                this.emit('request', entry);
+                break;
+            }
+            case 'Network.responseReceived': {
+                const entry = this.requests.get(params.requestId);
+                if (entry) {
+                    entry.status = params.response.status;
+                    entry.mimeType = params.response.mimeType;
+                    entry.responseHeaders = params.response.headers;
+                }
+                break;
+            }
+            case 'Network.loadingFinished':
+            case 'Network.loadingFailed': {
+                const entry = this.requests.get(params.requestId);
+                if (entry) {
+                    this.requests.delete(params.requestId);
+                    if (data.method === 'Network.loadingFailed') {
+                        entry.error = params.errorText;
+                    } else {
+                        entry.finished = true;
+                    }
+                    this.emit(entry.error ? 'failed' : 'response', entry);
+                    this.notifyWaiters(entry);
+                }
+                break;
+            }
+            case 'Fetch.requestPaused':
+                this.route(params)
+                    .catch(err => {
+                        // don't leave the request paused
+                        this.send('Fetch.continueRequest', {requestId: params.requestId})
+                            .catch(() => null);
+                        if (this.listenerCount('error')) {
+                            this.emit('error', err, params.request);
+                        } else {
+                            this.robot.warn(`Network route ${params.request.url} failed`, err);
+                        }
+                    });
+                break;
+        }
+    }
+
+    /**
+     * Continue, block, or fulfill a paused request according to the routes.
+     *
+     * @param {object} params Request paused parameters
+     * @returns {Promise<void>}
+     */
+    async route(params) {
+        const request = {url: params.request.url, method: params.request.method, type: params.resourceType};
+        const route = [...this.routes].reverse().find(route => this.matches(route.pattern, request));
+        if (!route) {
+            await this.send('Fetch.continueRequest', {requestId: params.requestId});
+        } else if (route.response) {
+            const response = typeof route.response === 'function' ? await route.response(request) : route.response;
+            let body = response.body !== undefined ? response.body : '';
+            const headers = Object.assign({}, response.headers);
+            if (typeof body === 'object' && !Buffer.isBuffer(body)) {
+                body = JSON.stringify(body);
+                headers['Content-Type'] = headers['Content-Type'] || 'application/json';
+            }
+            await this.send('Fetch.fulfillRequest', {
+                requestId: params.requestId,
+                responseCode: response.status || 200,
+                responseHeaders: Object.entries(headers).map(([name, value]) => ({name, value: String(value)})),
+                body: Buffer.from(body).toString('base64'),
+            });
+        } else {
+            await this.send('Fetch.failRequest', {requestId: params.requestId, errorReason: 'BlockedByClient'});
+        }
+    }
+
+    /**
+     * Enable or disable request interception depending on the routes.
+     *
+     * @returns {Promise<void>}
+     */
+    async updateFetch() {
+        if (!this.connection) {
+            return;
+        }
+        if (this.routes.length && !this.fetching) {
+            await this.send('Fetch.enable', {patterns: [{urlPattern: '*'}]});
+            this.fetching = true;
+        } else if (!this.routes.length && this.fetching) {
+            await this.send('Fetch.disable');
+            this.fetching = false;
+        }
+    }
+
+    /**
+     * Block requests matching the pattern.
+     *
+     * @param {UrlPattern} pattern Url pattern
+     * @returns {Promise<void>}
+     */
+    async block(pattern) {
+        this.routes.push({pattern});
+        await this.connect();
+        await this.updateFetch();
+    }
+
+    /**
+     * Respond requests matching the pattern with a mocked response.
+     *
+     * @param {UrlPattern} pattern Url pattern
+     * @param {object|Function} response Response or a function returning response
+     * @param {number} response.status Response status, default to 200
+     * @param {object} response.headers Response headers
+     * @param {string|Buffer|object} response.body Response body, an object is sent as JSON
+     * @returns {Promise<void>}
+     */
+    async mock(pattern, response) {
+        this.routes.push({pattern, response});
+        await this.connect();
+        await this.updateFetch();
+    }
+
+    /**
+     * Remove block and mock routes of the pattern, or all routes if pattern is
+     * omitted.
+     *
+     * @param {UrlPattern} pattern Url pattern
+     * @returns {Promise<void>}
+     */
+    async unroute(pattern) {
+        this.routes = pattern === undefined ? [] : this.routes.filter(route => route.pattern !== pattern);
+        await this.updateFetch();
+    }
+
+    /**
+     * Set extra headers sent with every request.
+     *
+     * @param {object|null} headers The headers, null to remove
+     * @returns {Promise<void>}
+     */
+    async setHeaders(headers) {
+        await this.connect();
+        this.headers = headers;
+        await this.send('Network.setExtraHTTPHeaders', {headers: headers || {}});
+    }
+
+    /**
+     * Wait for a response matching the pattern. Only requests sent after the
+     * network is connected and this method is called are considered, so
+     * connect the network and call it before triggering the request and await
+     * the result afterwards.
+     *
+     * @param {UrlPattern} pattern Url pattern
+     * @param {object} options The options
+     * @param {string} options.method Request method
+     * @param {number} options.timeout Wait timeout (ms), default to robot timeout
+     * @returns {Promise<NetworkEntry>}
+     */
+    async waitForResponse(pattern, options = null) {
+        options = options || {};
+        const timeout = options.timeout !== undefined ? options.timeout : this.robot.timeout;
+        // requests are only recorded once connected
+        await this.connect();
+        return new Promise((resolve, reject) => {
+            const waiter = {pattern, method: options.method, resolve, reject, after: Date.now()};
+            waiter.timer = setTimeout(() => {
+                this.waiters = this.waiters.filter(w => w !== waiter);
+                reject(new error.TimeoutError(`Waiting for response ${pattern} timed out after ${timeout} ms!`));
+            }, timeout);
+            this.waiters.push(waiter);
+        });
+    }
+
+    /**
+     * Wait for a response matching the pattern and return its JSON body.
+     *
+     * @param {UrlPattern} pattern Url pattern
+     * @param {object} options The options, see waitForResponse()
+     * @returns {Promise<any>}
+     */
+    async waitForJson(pattern, options = null) {
+        const entry = await this.waitForResponse(pattern, options);
+        return JSON.parse(await this.getBody(entry));
+    }
+
+    /**
+     * Get response body.
+     *
+     * @param {NetworkEntry} entry The entry
+     * @returns {Promise<string>}
+     */
+    async getBody(entry) {
+        const res = await this.send('Network.getResponseBody', {requestId: entry.id});
+        return res.base64Encoded ? Buffer.from(res.body, 'base64').toString() : res.body;
+    }
+
+    /**
+     * Get recorded entries.
+     *
+     * @param {UrlPattern} pattern Url pattern, omit for all entries
+     * @returns {NetworkEntry[]}
+     */
+    getEntries(pattern) {
+        return pattern === undefined ? [...this.entries] : this.entries.filter(entry => this.matches(pattern, entry));
+    }
+
+    /**
+     * Clear recorded entries.
+     */
+    clear() {
+        this.entries = [];
+    }
+
+    /**
+     * Resolve or reject waiters matching the entry.
+     *
+     * @param {NetworkEntry} entry The entry
+     */
+    notifyWaiters(entry) {
+        for (const waiter of [...this.waiters]) {
+            if (entry.time >= waiter.after && this.matches(waiter.pattern, entry) &&
+                (!waiter.method || waiter.method.toUpperCase() === entry.method)) {
+                clearTimeout(waiter.timer);
+                this.waiters = this.waiters.filter(w => w !== waiter);
+                if (entry.error) {
+                    waiter.reject(new Error(`Request ${entry.url} failed: ${entry.error}!`));
+                } else {
+                    waiter.resolve(entry);
+                }
+            }
+        }
+    }
+
+    /**
+     * Reject all waiters.
+     *
+     * @param {Error} err The error
+     */
+    rejectWaiters(err) {
+        for (const waiter of this.waiters.splice(0)) {
+            clearTimeout(waiter.timer);
+            waiter.reject(err);
+        }
+    }
+
+    /**
+     * Check if request matches url pattern.
+     *
+     * @param {UrlPattern} pattern Url pattern
+     * @param {{url: string}} request The request or entry
+     * @returns {boolean}
+     */
+    matches(pattern, request) {
+        if (typeof pattern === 'function') {
+            return Boolean(pattern(request));
+        }
+        if (pattern instanceof RegExp) {
+            return pattern.test(request.url);
+        }
+        const re = String(pattern)
+            .split('*')
+            .map(s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*');
+        return new RegExp(`^${re}$`).test(request.url);
+    }
+}
+
+module.exports = WebNetwork;
@@ -0,0 +1,425 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const { By } = require('selenium-webdriver');
+const { FormSchema } = require('./schema');
+const { Locator } = require('./locator');
+
+/**
+ * A page form definition.
+ *
+ * @typedef {object} PageForm
+ * @property {string|By} form Form element name or selector
+ * @property {string|By|Function} submit Submit element name, selector, or callback
+ * @property {FormSchema|object} schema Form schema or its fields
+ * @property {object} options Fill in form options, see WebRobot.fillInForm()
+ */
+
+/**
+ * A page object, declares the page url, named elements, forms, and actions
+ * and is bound to a robot.
+ *
+ * An element can be a selector, a css selector string, or a function
+ * returning a selector for a parameterized element. Element of composed page
+ * is referenced using dotted name such as `header.logout`.
+ *
+ * Usage:
+ *
+ * ```js
+ * class LoginPage extends WebPage {
+ *     url = '/login'
+ *     elements = {
+ *         form: By.id('login-form'),
+ *         submit: By.css('button[type="submit"]'),
+ *         message: '.alert',
+ *     }
+ *     forms = {
+ *         login: {form: 'form', submit: 'submit', schema: {username: {required: true}, password: {required: true}}},
+ *     }
+ *     pages = {
+ *         header: HeaderPage,
+ *     }
+ *
+ *     async login(username, password) {
+ *         await this.open();
+ *         await this.fillInForm('login', {username, password});
+ *         return this.getText(['message']);
+ *     }
+ * }
+ *
+ * const page = robot.page(LoginPage);
+ * await page.login('me', 'secret');
+ * await page.click('header.logout');
+ * ```
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class WebPage {
+
+    url = null
+    pattern = null
+    ready = null
+    elements = {}
+    forms = {}
+    pages = {}
+
+    /**
+     * Constructor.
+     *
+     * @param {WebRobot} robot The robot
+     * @param {object} options Page options
+     * @param {string} options.url Page url, relative to robot url
+     * @param {string|RegExp} options.pattern Url pattern to check current page, string is matched as url prefix
+     * @param {string} options.ready Element name which must present on current page
+     * @param {Object<string, By|Function|string>} options.elements Named elements
+     * @param {Object<string, PageForm>} options.forms Named forms
+     * @param {Object<string, Function>} options.actions Page actions, called with page as this
+     * @param {Object<string, Function|WebPage|object>} options.pages Composed pages
+     */
+    constructor(robot, options) {
+        this.robot = robot;
+        this.options = options || {};
+        this._pages = {};
+        // subclass fields are initialized after this constructor returns
+        if (new.target === WebPage) {
+            this.applyOptions();
+        }
+    }
+
+    /**
+     * Apply page options, overriding the class fields. It's called by
+     * WebRobot.page() once the page is constructed.
+     *
+     * @returns {WebPage}
+     */
+    applyOptions() {
+        if (!this._applied) {
+            this._applied = true;
+            for (const prop of ['url', 'pattern', 'ready', 'elements', 'forms', 'pages']) {
+                if (this.options[prop] !== undefined) {
+                    this[prop] = this.options[prop];
+                }
+            }
+            for (const [name, fn] of Object.entries(this.options.actions || {})) {
+                if (this[name] !== undefined) {
+                    throw new Error(`Page action ${name} conflicts with existing member!`);
+                }
+                this[name] = (...args) => fn.apply(this, args);
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Get composed page.
+     *
+     * @param {string} name Page name
+     * @returns {WebPage}
+     */
+    page(name) {
+        if (this._pages[name] === undefined) {
+            const page = this.pages[name];
+            if (page === undefined) {
+                throw new Error(`Page ${name} is not defined in ${this.constructor.name}!`);
+            }
+            if (page instanceof WebPage) {
+                this._pages[name] = page;
+            } else if (typeof page === 'function') {
+                this._pages[name] = new page(this.robot).applyOptions();
+            } else {
+                this._pages[name] = new WebPage(this.robot, page);
+            }
+        }
+        return this._pages[name];
+    }
+
+    /**
+     * Get element selector.
+     *
+     * @param {string|By|Function} name Element name, or a selector which is returned as is
+     * @param {...any} args Parameterized element arguments
+     * @returns {By|Function}
+     */
+    get(name, ...args) {
+        if (typeof name !== 'string') {
+            return name;
+        }
+        const idx = name.indexOf('.');
+        if (idx > 0 && this.elements[name] === undefined) {
+            return this.page(name.substr(0, idx)).get(name.substr(idx + 1), ...args);
+        }
+        let element = this.elements[name];
+        if (element === undefined) {
+            throw new Error(`Element ${name} is not defined in ${this.constructor.name}!`);
+        }
+        if (typeof element === 'function' && !Locator.isLocator(element)) {
+            element = element(...args);
+        }
+        if (typeof element === 'string') {
+            element = By.css(element);
+        }
+        return element;
+    }
+
+    /**
+     * Get page url.
+     *
+     * @param {object} params Url parameters, replacing `{name}` in url
+     * @returns {string}
+     */
+    getUrl(params = null) {
+        let url = this.url || '';
+        if (params) {
+            url = url.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined ?
+                encodeURIComponent(params[name]) : match);
+        }
+        return this.robot.url ? new URL(url, this.robot.url).toString() : url;
+    }
+
+    /**
+     * Open the page.
+     *
+     * @param {object} params Url parameters
+     * @returns {Promise<void>}
+     */
+    async open(params = null) {
+        if (!this.url) {
+            throw new Error(`Page ${this.constructor.name} has no url!`);
+        }
+        await this.robot.open(this.getUrl(params));
+    }
+
+    /**
+     * Check if url matches this page.
+     *
+     * @param {string} url The url
+     * @returns {boolean}
+     */
+    matches(url) {
+        if (this.pattern instanceof RegExp) {
+            return this.pattern.test(url);
+        }
+        // prefix must be followed by a path, query, or hash
+        const boundary = s => /[/?#]$/.test(s) ? '' : '(?:[/?#]|$)';
+        const escape = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        if (this.pattern) {
+            const prefix = this.robot.url ? new URL(this.pattern, this.robot.url).toString() : this.pattern;
+            return new RegExp(`^${escape(prefix)}${boundary(prefix)}`).test(url);
+        }
+        if (this.url) {
+            // url parameter matches any path segment
+            const pageUrl = this.getUrl(new Proxy({}, {get: () => '\0'})).replace(/[?#].*$/, '');
+            const re = pageUrl.split('%00')
+                .map(s => escape(s))
+                .join('[^/?#]+');
+            return new RegExp(`^${re}${boundary(pageUrl)}`).test(url);
+        }
+        return true;
+    }
+
+    /**
+     * Check if this page is the current page.
+     *
+     * @returns {Promise<boolean>}
+     */
+    async isCurrent() {
+        if (!this.robot.driver) {
+            return false;
+        }
+        if (!this.matches(await this.robot.driver.getCurrentUrl())) {
+            return false;
+        }
+        if (this.ready) {
+            const items = await this.robot.findElements(this.get(this.ready));
+            return items.length > 0;
+        }
+        return true;
+    }
+
+    /**
+     * Assert this page is the current page.
+     *
+     * @returns {Promise<void>}
+     */
+    async assertCurrent() {
+        if (!await this.isCurrent()) {
+            const url = this.robot.driver ? await this.robot.driver.getCurrentUrl() : null;
+            throw new PageMismatchError(this, url);
+        }
+    }
+
+    /**
+     * Find element.
+     *
+     * @param {string|By} name Element name
+     * @param {...any} args Parameterized element arguments
+     * @returns {Promise<WebElement>}
+     */
+    find(name, ...args) {
+        return this.robot.findElement(this.get(name, ...args));
+    }
+
+    /**
+     * Find elements.
+     *
+     * @param {string|By} name Element name
+     * @param {...any} args Parameterized element arguments
+     * @returns {Promise<WebElement[]>}
+     */
+    findAll(name, ...args) {
+        return this.robot.findElements(this.get(name, ...args));
+    }
+
+    /**
+     * Wait an element to present.
+     *
+     * @param {string|By} name Element name
+     * @param {...any} args Parameterized element arguments
+     * @returns {Promise<WebElement>}
+     */
+    waitFor(name, ...args) {
+        return this.robot.waitFor(this.get(name, ...args));
+    }
+
+    /**
+     * Perform click.
+     *
+     * @param {string|By} name Element name
+     * @param {...any} args Parameterized element arguments
+     * @returns {Promise<WebElement>}
+     */
+    click(name, ...args) {
+        return this.robot.click(this.get(name, ...args));
+    }
+
+    /**
+     * Wait an element to present and then perform click.
+     *
+     * @param {string|By} name Element name
+     * @param {...any} args Parameterized element arguments
+     * @returns {Promise<WebElement>}
+     */
+    waitAndClick(name, ...args) {
+        return this.robot.waitAndClick(this.get(name, ...args));
+    }
+
+    /**
+     * Fill a form field.
+     *
+     * @param {string|By} name Element name
+     * @param {any} value Field value
+     * @param {object} options Form value data options
+     * @param {...any} args Parameterized element arguments
+     * @returns {Promise<void>}
+     */
+    fill(name, value, options = null, ...args) {
+        return this.robot.fill(this.get(name, ...args), value, options);
+    }
+
+    /**
+     * Get element texts.
+     *
+     * @param {Array<string|By>|Object<string, string|By>} names Element names, an object resolves texts with its keys
+     * @param {WebElement} parent Parent element
+     * @returns {Promise<string[]|object>}
+     */
+    getText(names, parent) {
+        const items = Array.isArray(names) ? names.map(name => this.get(name)) :
+            Object.fromEntries(Object.entries(names).map(([k, name]) => [k, this.get(name)]));
+        return this.robot.getText(items, parent);
+    }
+
+    /**
+     * Fill in a named form. When the form has schema, data is an object of
+     * field values, otherwise it is form values as accepted by fillInForm().
+     *
+     * @param {string} name Form name
+     * @param {object|Array} data Form data or form values
+     * @param {object} options Fill in form options, merged with the form options
+     * @param {string|By|Function|null} options.submit Override form submit, null to not submit
+     * @returns {Promise<WebElement>}
+     */
+    async fillInForm(name, data, options = null) {
+        const form = this.forms[name];
+        if (form === undefined) {
+            throw new Error(`Form ${name} is not defined in ${this.constructor.name}!`);
+        }
+        options = Object.assign({}, form.options, options);
+        let submit = options.submit !== undefined ? options.submit : form.submit;
+        delete options.submit;
+        if (submit && typeof submit === 'string') {
+            submit = this.get(submit);
+        }
+        const target = this.get(form.form);
+        if (form.schema) {
+            const schema = form.schema instanceof FormSchema ? form.schema : new FormSchema(form.schema);
+            return this.robot.fillInSchema(schema, data, target, submit, options);
+        }
+        return this.robot.fillInForm(data, target, submit, options);
+    }
+
+    /**
+     * Read named form values.
+     *
+     * @param {string} name Form name
+     * @param {string[]} fields Form fields, default to schema field names
+     * @returns {Promise<{values: object, types: object, missing: string[]}>}
+     */
+    async readForm(name, fields = null) {
+        const form = this.forms[name];
+        if (form === undefined) {
+            throw new Error(`Form ${name} is not defined in ${this.constructor.name}!`);
+        }
+        if (!fields && form.schema) {
+            fields = form.schema instanceof FormSchema ? form.schema.names : Object.keys(form.schema);
+        }
+        return this.robot.readForm(this.get(form.form), fields);
+    }
+}
+
+/**
+ * Page mismatch error, thrown when asserted page is not the current page.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class PageMismatchError extends Error {
+
+    /**
+     * Constructor.
+     *
+     * @param {WebPage} page Expected page
+     * @param {string} url Current url
+     */
+    constructor(page, url) {
+        super(`Expected page ${page.constructor.name} but current url is ${url}!`);
+        this.name = this.constructor.name;
+        this.page = page;
+        this.url = url;
+    }
+}
+
+module.exports = {
+    WebPage,
+    PageMismatchError,
+}
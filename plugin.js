@@ -0,0 +1,124 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * A robot plugin. A plugin can be an instance of this class, or a plain
+ * object having the same members, all of them are optional.
+ *
+ * Plugins are executed in this order:
+ * 1. Plugins passed in constructor `plugins` option are installed in array
+ *    order before `initialize()`, then plugins registered using `use()` in
+ *    call order.
+ * 2. On install, `install()` is called first, then `fieldHandlers` are
+ *    registered, then `events` are subscribed, and finally `error()` is
+ *    subscribed to robot `error` event.
+ * 3. `driverOptions()` of each plugin is called in install order after the
+ *    robot has prepared the browser options and right before the driver is
+ *    created.
+ * 4. Event listeners are called in install order, after listeners which were
+ *    attached before the plugin is installed. A listener may return a promise
+ *    which is awaited by the robot before continuing the operation emitting
+ *    the event, such as `navigate` in open(). A rejected promise is logged as
+ *    warning and doesn't fail the operation.
+ * 5. Field handler registered later takes precedence, so a field handler of
+ *    a plugin installed later or added by robot in `initialize()` overrides
+ *    the one from plugin installed earlier.
+ *
+ * Usage:
+ *
+ * ```js
+ * class CookieConsent extends WebRobotPlugin {
+ *     name = 'cookie-consent'
+ *     events = {
+ *         navigate: async (robot, url) => {
+ *             const items = await robot.findElements(By.id('accept-cookies'));
+ *             if (items.length) {
+ *                 await items[0].click();
+ *             }
+ *         },
+ *     }
+ * }
+ *
+ * const robot = new MyWebRobot({plugins: [new CookieConsent()]});
+ * robot.use({name: 'no-images', driverOptions: (options, robot) => options.addArguments('--blink-settings=imagesEnabled=false')});
+ * ```
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class WebRobotPlugin {
+
+    /**
+     * Plugin name, a plugin with same name can only be installed once.
+     *
+     * @type {string}
+     */
+    name = null
+
+    /**
+     * Field handlers, see WebRobot.addFieldHandler().
+     *
+     * @type {Array<FieldHandler|object>}
+     */
+    fieldHandlers = []
+
+    /**
+     * Event listeners, map event name to listener called with robot followed
+     * by the event arguments. A returned promise is awaited, see
+     * WebRobot.notify().
+     *
+     * @type {Object<string, Function>}
+     */
+    events = {}
+
+    /**
+     * Called when plugin is installed to robot.
+     *
+     * @param {WebRobot} robot The robot
+     */
+    install(robot) {
+    }
+
+    /**
+     * Modify browser options before the driver is created.
+     *
+     * @param {object} options Browser options, chrome or firefox options
+     * @param {WebRobot} robot The robot
+     * @returns {Promise<void>|undefined}
+     */
+    driverOptions(options, robot) {
+    }
+
+    /**
+     * Handle unexpected error.
+     *
+     * @param {Error} err The error
+     * @param {LogEvent} event Log event
+     * @param {WebRobot} robot The robot
+     * @returns {Promise<void>|undefined}
+     */
+    error(err, event, robot) {
+    }
+}
+
+module.exports = WebRobotPlugin;
@@ -0,0 +1,266 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const { error } = require('selenium-webdriver');
+
+/**
+ * A robot factory callback.
+ *
+ * @callback robotFactoryCallback
+ * @param {object} options Robot options with pool session assigned
+ * @param {number} index Robot index in the pool
+ * @returns {WebRobot}
+ */
+
+/**
+ * A pool of robots for running jobs in parallel. Each robot has its own
+ * session so its browser profile is isolated from the others. Robot driver
+ * is recycled after a number of jobs or when it is crashed.
+ *
+ * Usage:
+ *
+ * ```js
+ * const pool = new WebRobotPool({robot: MyWebRobot, size: 3, maxJobs: 50, options: {workdir: __dirname}});
+ * const results = await pool.map(records, (robot, record) => robot.submit(record));
+ * await pool.shutdown();
+ * ```
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class WebRobotPool {
+
+    robots = []
+    idle = []
+    waiting = []
+
+    /**
+     * Constructor.
+     *
+     * @param {object} options Pool options
+     * @param {Function|robotFactoryCallback} options.robot Robot class or factory
+     * @param {object} options.options Robot options
+     * @param {number} options.size Maximum number of robots, default to 2
+     * @param {number} options.maxJobs Recycle robot driver after number of jobs, 0 to never recycle
+     */
+    constructor(options) {
+        this.options = options || {};
+        this.size = this.options.size || 2;
+        this.maxJobs = this.options.maxJobs || 0;
+        if (typeof this.options.robot !== 'function') {
+            throw new Error('Pool requires a robot class or factory!');
+        }
+    }
+
+    /**
+     * Create a robot.
+     *
+     * @param {number} index Robot index
+     * @returns {WebRobot}
+     */
+    createRobot(index) {
+        const options = Object.assign({}, this.options.options);
+        options.session = (options.session ? options.session + '-' : 'pool-') + index;
+        const factory = this.options.robot;
+        // a class is only callable with new
+        const robot = /^class\s/.test(Function.prototype.toString.call(factory)) ?
+            new factory(options) : factory(options, index);
+        robot.poolJobs = 0;
+        return robot;
+    }
+
+    /**
+     * Acquire an idle robot, wait until a robot is released when all robots
+     * are busy.
+     *
+     * @returns {Promise<WebRobot>}
+     */
+    acquire() {
+        if (this.closing) {
+            return Promise.reject(new Error('Pool is shutting down!'));
+        }
+        let robot = this.idle.shift();
+        if (!robot && this.robots.length < this.size) {
+            robot = this.createRobot(this.robots.length + 1);
+            this.robots.push(robot);
+        }
+        if (robot) {
+            return this.waitReady(robot);
+        }
+        return new Promise((resolve, reject) => {
+            this.waiting.push({resolve, reject});
+        });
+    }
+
+    /**
+     * Release robot back to the pool.
+     *
+     * @param {WebRobot} robot The robot
+     * @param {Error} err Job error if any
+     * @returns {Promise<void>}
+     */
+    async release(robot, err = null) {
+        if (!this.robots.includes(robot)) {
+            throw new Error('Robot is not owned by this pool!');
+        }
+        robot.poolJobs++;
+        if (this.closing) {
+            await this.destroy(robot);
+        } else {
+            if (this.isCrashed(robot, err) || (this.maxJobs > 0 && robot.poolJobs >= this.maxJobs)) {
+                await this.recycle(robot);
+            }
+            const waiter = this.waiting.shift();
+            if (waiter) {
+                waiter.resolve(this.waitReady(robot));
+            } else {
+                this.idle.push(robot);
+            }
+        }
+    }
+
+    /**
+     * Acquire a robot, run the job, and release the robot.
+     *
+     * @param {Function} fn Job function, called with robot
+     * @returns {Promise<any>}
+     */
+    async run(fn) {
+        const robot = await this.acquire();
+        let res, err;
+        try {
+            res = await fn(robot);
+        }
+        catch (e) {
+            err = e;
+        }
+        await this.release(robot, err);
+        if (err) {
+            throw err;
+        }
+        return res;
+    }
+
+    /**
+     * Run job for each items in parallel using pooled robots. All items are
+     * processed even if some of them failed.
+     *
+     * @param {Array} items Items
+     * @param {Function} fn Job function, called with robot, item, and index
+     * @returns {Promise<{item: any, result: any, error: Error}[]>}
+     */
+    map(items, fn) {
+        return Promise.all(items.map((item, idx) => this.run(robot => fn(robot, item, idx))
+            .then(result => ({item, result}))
+            .catch(error => ({item, error}))));
+    }
+
+    /**
+     * Close robot driver so it will be recreated on next use.
+     *
+     * @param {WebRobot} robot The robot
+     * @returns {Promise<void>}
+     */
+    async recycle(robot) {
+        try {
+            await robot.close();
+        }
+        catch (err) {
+            // driver is already gone
+            delete robot.driver;
+            delete robot._url;
+        }
+        robot.poolJobs = 0;
+    }
+
+    /**
+     * Close robot and remove it from the pool.
+     *
+     * @param {WebRobot} robot The robot
+     * @returns {Promise<void>}
+     */
+    async destroy(robot) {
+        await this.recycle(robot);
+        this.robots = this.robots.filter(r => r !== robot);
+        this.idle = this.idle.filter(r => r !== robot);
+        if (this.robots.length === 0 && this._drained) {
+            this._drained();
+        }
+    }
+
+    /**
+     * Check if job error indicates the robot browser is crashed.
+     *
+     * @param {WebRobot} robot The robot
+     * @param {Error} err The error
+     * @returns {boolean}
+     */
+    isCrashed(robot, err) {
+        if (!err) {
+            return false;
+        }
+        return err instanceof error.SessionNotCreatedError || robot.isSessionLost(err);
+    }
+
+    /**
+     * Wait for robot to be ready.
+     *
+     * @param {WebRobot} robot The robot
+     * @returns {Promise<WebRobot>}
+     */
+    waitReady(robot) {
+        return robot.whenReady();
+    }
+
+    /**
+     * Shutdown the pool. Waiting acquires are rejected, idle robots are closed
+     * immediately, and busy robots are closed once released.
+     *
+     * @returns {Promise<void>}
+     */
+    shutdown() {
+        this.closing = true;
+        for (const waiter of this.waiting.splice(0)) {
+            waiter.reject(new Error('Pool is shutting down!'));
+        }
+        return new Promise(resolve => {
+            this._drained = resolve;
+            if (this.robots.length === 0) {
+                resolve();
+            } else {
+                [...this.idle].forEach(robot => this.destroy(robot));
+            }
+        });
+    }
+
+    /**
+     * Get number of busy robots.
+     *
+     * @returns {number}
+     */
+    get busy() {
+        return this.robots.length - this.idle.length;
+    }
+}
+
+module.exports = WebRobotPool;
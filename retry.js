@@ -0,0 +1,123 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * A retry callback, called before next attempt.
+ *
+ * @callback retryCallback
+ * @param {Error} err The error
+ * @param {number} attempt Failed attempt number
+ * @returns {Promise<void>|undefined}
+ */
+
+/**
+ * A retry policy.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class RetryPolicy {
+
+    /**
+     * Constructor.
+     *
+     * @param {object} options Retry options
+     * @param {number} options.attempts Maximum attempts including the first one, default to 3
+     * @param {number} options.backoff Delay before next attempt (ms), default to 250
+     * @param {number} options.factor Delay multiplier for each attempt, default to 1
+     * @param {number} options.maxDelay Maximum delay (ms)
+     * @param {Function[]} options.retryable Retryable error classes
+     * @param {Function} options.retryIf A callback to check if error is retryable
+     */
+    constructor(options) {
+        options = options || {};
+        this.attempts = options.attempts !== undefined ? options.attempts : 3;
+        this.backoff = options.backoff !== undefined ? options.backoff : 250;
+        this.factor = options.factor || 1;
+        this.maxDelay = options.maxDelay;
+        this.retryable = options.retryable || [];
+        this.retryIf = options.retryIf;
+    }
+
+    /**
+     * Get delay before next attempt.
+     *
+     * @param {number} attempt Failed attempt number
+     * @returns {number}
+     */
+    getDelay(attempt) {
+        let delay = this.backoff * Math.pow(this.factor, attempt - 1);
+        if (this.maxDelay !== undefined && delay > this.maxDelay) {
+            delay = this.maxDelay;
+        }
+        return delay;
+    }
+
+    /**
+     * Check if error can be retried.
+     *
+     * @param {Error} err The error
+     * @returns {boolean}
+     */
+    isRetryable(err) {
+        const retryable = Array.isArray(this.retryable) ? this.retryable : [this.retryable];
+        if (retryable.some(e => err instanceof e)) {
+            return true;
+        }
+        return typeof this.retryIf === 'function' && this.retryIf(err) ? true : false;
+    }
+
+    /**
+     * Call function and retry it when rejected with retryable error.
+     *
+     * @param {Function} fn Function to call, must return a Promise
+     * @param {retryCallback} onretry Called before next attempt
+     * @param {Function} filter Additional check whether error can be retried
+     * @returns {Promise<any>}
+     */
+    run(fn, onretry, filter) {
+        return new Promise((resolve, reject) => {
+            let attempt = 0;
+            const f = () => {
+                attempt++;
+                fn(attempt)
+                    .then(res => resolve(res))
+                    .catch(err => {
+                        if (attempt < this.attempts && this.isRetryable(err) &&
+                            (typeof filter !== 'function' || filter(err))) {
+                            setTimeout(() => {
+                                Promise.resolve(typeof onretry === 'function' ? onretry(err, attempt) : null)
+                                    .then(() => f())
+                                    .catch(err => reject(err));
+                            }, this.getDelay(attempt));
+                        } else {
+                            reject(err);
+                        }
+                    });
+            }
+            f();
+        });
+    }
+}
+
+module.exports = RetryPolicy;
@@ -0,0 +1,337 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const { By } = require('selenium-webdriver');
+const { xpathLiteral } = require('./util');
+
+/**
+ * Schema field properties which are not passed to form fill in data.
+ */
+const schemaProps = ['target', 'type', 'required', 'default', 'options', 'pattern', 'min', 'max', 'validate'];
+
+/**
+ * A form field validation callback.
+ *
+ * @callback fieldValidateCallback
+ * @param {any} value Field value
+ * @param {object} data All form data
+ * @returns {boolean|string} True if valid, false or an error message otherwise
+ */
+
+/**
+ * A form field schema.
+ *
+ * @typedef {object} FormField
+ * @property {By} target Field selector, default to relative xpath matching field name
+ * @property {string} type Value type, can be text, number, boolean, checkbox, select, radio, or date
+ * @property {boolean} required Is field value required
+ * @property {any} default Default value or a function returning default value
+ * @property {Array} options Allowed values
+ * @property {RegExp} pattern Value pattern
+ * @property {number} min Minimum value or length
+ * @property {number} max Maximum value or length
+ * @property {fieldValidateCallback} validate Custom validation callback
+ * @property {Function} converter Value converter callback
+ */
+
+/**
+ * A form schema which maps field name to its selector and rules.
+ *
+ * Usage:
+ *
+ * ```js
+ * const schema = new FormSchema({
+ *     username: {target: By.id('user'), required: true},
+ *     password: {required: true},
+ *     age: {type: 'number', min: 17},
+ *     remember: {type: 'checkbox', default: false},
+ * });
+ * robot.fillInSchema(schema, {username: 'me', password: 'secret'}, By.id('login'), By.id('submit'));
+ * ```
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class FormSchema {
+
+    /**
+     * Constructor.
+     *
+     * @param {Object<string, FormField|By>} fields Form fields
+     */
+    constructor(fields) {
+        this.fields = {};
+        for (const [name, field] of Object.entries(fields || {})) {
+            this.fields[name] = this.normalize(name, field);
+        }
+    }
+
+    /**
+     * Normalize field definition.
+     *
+     * @param {string} name Field name
+     * @param {FormField|By} field Field definition
+     * @returns {FormField}
+     */
+    normalize(name, field) {
+        if (field instanceof By || typeof field === 'function') {
+            field = {target: field};
+        }
+        field = Object.assign({type: 'text'}, field || {}, {name});
+        if (!field.target) {
+            field.target = By.xpath(`.//*[@name=${xpathLiteral(name)}]`);
+        }
+        return field;
+    }
+
+    /**
+     * Get field names.
+     *
+     * @returns {string[]}
+     */
+    get names() {
+        return Object.keys(this.fields);
+    }
+
+    /**
+     * Create a new schema by adding or overriding fields.
+     *
+     * @param {Object<string, FormField|By>} fields Form fields
+     * @returns {FormSchema}
+     */
+    extend(fields) {
+        const schema = new this.constructor();
+        Object.assign(schema.fields, this.fields);
+        for (const [name, field] of Object.entries(fields || {})) {
+            schema.fields[name] = schema.normalize(name, field);
+        }
+        return schema;
+    }
+
+    /**
+     * Get field value from data, applying default value if necessary.
+     *
+     * @param {FormField} field The field
+     * @param {object} data Form data
+     * @returns {any}
+     */
+    getValue(field, data) {
+        let value = data[field.name];
+        if (value === undefined && field.default !== undefined) {
+            value = typeof field.default === 'function' ? field.default(data) : field.default;
+        }
+        return value;
+    }
+
+    /**
+     * Validate form data. All fields are validated, no browser interaction
+     * is performed.
+     *
+     * @param {object} data Form data
+     * @returns {{field: string, message: string, value: any}[]}
+     */
+    validate(data) {
+        data = data || {};
+        const errors = [];
+        for (const field of Object.values(this.fields)) {
+            const value = this.getValue(field, data);
+            const message = this.check(field, value, data);
+            if (message) {
+                errors.push({field: field.name, message, value});
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Check field value against its rules.
+     *
+     * @param {FormField} field The field
+     * @param {any} value Field value
+     * @param {object} data Form data
+     * @returns {string|undefined} Error message if not valid
+     */
+    check(field, value, data) {
+        if (value === undefined || value === null || value === '') {
+            if (field.required) {
+                return `${field.name} is required`;
+            }
+            return;
+        }
+        switch (field.type) {
+            case 'number':
+                if (isNaN(value) || typeof value === 'boolean' || String(value).trim() === '') {
+                    return `${field.name} must be a number`;
+                }
+                if (field.min !== undefined && Number(value) < field.min) {
+                    return `${field.name} must be at least ${field.min}`;
+                }
+                if (field.max !== undefined && Number(value) > field.max) {
+                    return `${field.name} must be at most ${field.max}`;
+                }
+                break;
+            case 'boolean':
+            case 'checkbox':
+                if (typeof value !== 'boolean') {
+                    return `${field.name} must be a boolean`;
+                }
+                break;
+            case 'date':
+                if (isNaN(value instanceof Date ? value.getTime() : Date.parse(value))) {
+                    return `${field.name} must be a valid date`;
+                }
+                break;
+            default:
+                if (field.min !== undefined && String(value).length < field.min) {
+                    return `${field.name} must be at least ${field.min} characters`;
+                }
+                if (field.max !== undefined && String(value).length > field.max) {
+                    return `${field.name} must be at most ${field.max} characters`;
+                }
+                break;
+        }
+        if (Array.isArray(field.options)) {
+            const values = Array.isArray(value) ? value : [value];
+            const invalid = values.filter(v => !field.options.some(o => o == v));
+            if (invalid.length) {
+                return `${field.name} has invalid value ${invalid.join(', ')}, expected one of ${field.options.join(', ')}`;
+            }
+        }
+        if (field.pattern instanceof RegExp && !field.pattern.test(String(value))) {
+            return `${field.name} doesn't match ${field.pattern}`;
+        }
+        if (typeof field.validate === 'function') {
+            const result = field.validate(value, data);
+            if (result !== true && result !== undefined) {
+                return typeof result === 'string' ? result : `${field.name} is not valid`;
+            }
+        }
+    }
+
+    /**
+     * Format typed field value as its string form so it can be typed into a
+     * text input, a date is formatted as local ISO date and a number is
+     * formatted as is.
+     *
+     * @param {FormField} field The field
+     * @param {any} value Field value
+     * @returns {any}
+     */
+    format(field, value) {
+        if (value === null || value === '') {
+            return value;
+        }
+        switch (field.type) {
+            case 'number':
+                return String(Number(value));
+            case 'date':
+                if (value instanceof Date) {
+                    const pad = (n, len = 2) => n.toString().padStart(len, '0');
+                    const date = `${pad(value.getFullYear(), 4)}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+                    if (value.getHours() || value.getMinutes() || value.getSeconds()) {
+                        return `${date}T${pad(value.getHours())}:${pad(value.getMinutes())}` +
+                            (value.getSeconds() ? `:${pad(value.getSeconds())}` : '');
+                    }
+                    return date;
+                }
+                break;
+        }
+        return value;
+    }
+
+    /**
+     * Get form values suitable for `WebRobot.fillInForm()`. Fields without
+     * value are excluded and typed values are formatted, see format().
+     *
+     * @param {object} data Form data
+     * @returns {object[]}
+     * @throws {FormValidationError}
+     */
+    getValues(data) {
+        data = data || {};
+        const errors = this.validate(data);
+        if (errors.length) {
+            throw new FormValidationError(errors);
+        }
+        const values = [];
+        for (const field of Object.values(this.fields)) {
+            const value = this.getValue(field, data);
+            if (value !== undefined) {
+                const item = {};
+                for (const [k, v] of Object.entries(field)) {
+                    if (schemaProps.indexOf(k) < 0) {
+                        item[k] = v;
+                    }
+                }
+                item.target = field.target;
+                item.value = this.format(field, value);
+                values.push(item);
+            }
+        }
+        return values;
+    }
+}
+
+/**
+ * Form validation error, contains all the invalid fields.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class FormValidationError extends Error {
+
+    /**
+     * Constructor.
+     *
+     * @param {{field: string, message: string, value: any}[]} errors Validation errors
+     */
+    constructor(errors) {
+        super(`Form validation failed:\n${errors.map(e => `- ${e.message}`).join('\n')}`);
+        this.name = this.constructor.name;
+        this.errors = errors;
+    }
+}
+
+/**
+ * Form verification error, contains the mismatched fields.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class FormVerificationError extends Error {
+
+    /**
+     * Constructor.
+     *
+     * @param {{name: string, target: By, expected: any, actual: any}[]} diff Mismatched fields
+     */
+    constructor(diff) {
+        super(`Form verification failed:\n${diff.map(d => `- ${d.name || d.target}: expected ${JSON.stringify(d.expected)} but got ${JSON.stringify(d.actual)}`).join('\n')}`);
+        this.name = this.constructor.name;
+        this.diff = diff;
+    }
+}
+
+module.exports = {
+    FormSchema,
+    FormValidationError,
+    FormVerificationError,
+}
@@ -0,0 +1,385 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * Browser side functions. These functions are never called in Node, instead
+ * its source is sent to the browser using `executeScript()`, so it must not
+ * reference anything outside its own body.
+ *
+ * Usage:
+ *
+ * ```js
+ * driver.executeScript(`return (${Scripts.fieldValue})(arguments[0]);`, elements);
+ * ```
+ */
+
+/**
+ * Read value of a form field which may consist of several elements such as
+ * radio or checkbox group. File input value is its selected file names.
+ *
+ * @param {HTMLElement[]} els Field elements
+ * @param {object} options The options
+ * @param {boolean} options.text Read select option text instead of its value
+ * @returns {string|string[]|boolean|null}
+ */
+function fieldValue(els, options) {
+    const el = els[0];
+    const tag = el.tagName.toLowerCase();
+    const type = (el.getAttribute('type') || '').toLowerCase();
+    if (tag === 'input' && type === 'radio') {
+        const checked = els.filter(e => e.checked);
+        return checked.length ? checked[0].value : null;
+    }
+    if (tag === 'input' && type === 'checkbox') {
+        if (els.length > 1) {
+            return els.filter(e => e.checked).map(e => e.value);
+        }
+        return el.checked;
+    }
+    if (tag === 'input' && type === 'file') {
+        return Array.from(el.files).map(f => f.name);
+    }
+    if (tag === 'select') {
+        const values = Array.from(el.selectedOptions)
+            .map(o => options && options.text ? o.text.replace(/\s+/g, ' ').trim() : o.value);
+        return el.multiple ? values : (values.length ? values[0] : null);
+    }
+    if (tag !== 'input' && tag !== 'textarea' && el.isContentEditable) {
+        return el.innerText;
+    }
+    return el.value;
+}
+
+/**
+ * Read form field values. Only elements inside the form are considered, and
+ * when fields is not an array, all named fields are discovered.
+ *
+ * @param {HTMLElement} form Form element
+ * @param {string[]|null} fields Field names, prefix with # to use element id
+ * @param {boolean} useId Use element id instead of name
+ * @param {Function} fieldValue The fieldValue() function
+ * @returns {{values: object, types: object, missing: string[], elements: object}}
+ */
+function formValues(form, fields, useId, fieldValue) {
+    const result = {values: {}, types: {}, missing: [], elements: {}};
+    const ignored = ['button', 'submit', 'reset', 'image'];
+    const named = Array.from(form.querySelectorAll('[name]'));
+    if (!Array.isArray(fields)) {
+        fields = [];
+        named.forEach(el => {
+            const name = el.getAttribute('name');
+            const type = (el.getAttribute('type') || '').toLowerCase();
+            if (name && fields.indexOf(name) < 0 && el.tagName.toLowerCase() !== 'button' && ignored.indexOf(type) < 0) {
+                fields.push(name);
+            }
+        });
+    }
+    fields.forEach(field => {
+        let name = field, isId = useId;
+        if (name.substr(0, 1) === '#') {
+            name = name.substr(1);
+            isId = true;
+        }
+        const els = isId ? Array.from(form.querySelectorAll('[id]')).filter(el => el.id === name) :
+            named.filter(el => el.getAttribute('name') === name);
+        if (!els.length) {
+            result.missing.push(name);
+            return;
+        }
+        const el = els[0];
+        const tag = el.tagName.toLowerCase();
+        let type = tag === 'input' ? (el.getAttribute('type') || 'text').toLowerCase() : tag;
+        let value = fieldValue(els);
+        switch (type) {
+            case 'checkbox':
+                if (els.length > 1) {
+                    type = 'checkbox-group';
+                }
+                break;
+            case 'select':
+                if (el.multiple) {
+                    type = 'select-multiple';
+                }
+                break;
+            case 'number':
+            case 'range':
+                value = value === '' ? null : Number(value);
+                break;
+            default:
+                if (tag !== 'input' && tag !== 'textarea' && el.isContentEditable) {
+                    type = 'contenteditable';
+                }
+                break;
+        }
+        result.values[name] = value;
+        result.types[name] = type;
+        result.elements[name] = el;
+    });
+    return result;
+}
+
+/**
+ * Find form controls by its label, aria-label, aria-labelledby, placeholder,
+ * or any of them when kind is name.
+ *
+ * @param {HTMLElement|null} root Search root, null for document
+ * @param {string} kind Locator kind, can be label, aria-label, aria-labelledby, placeholder, or name
+ * @param {object} options Match options
+ * @param {string} options.text Text to match
+ * @param {{source: string, flags: string}} options.pattern Regular expression to match
+ * @param {boolean} options.exact Match text exactly, otherwise case insensitive contains
+ * @returns {HTMLElement[]}
+ */
+function labelledControls(root, kind, options) {
+    const doc = root ? root.ownerDocument : document;
+    const scope = root || doc;
+    const normalize = s => (s || '').replace(/\s+/g, ' ').trim();
+    const regex = options.pattern ? new RegExp(options.pattern.source, options.pattern.flags) : null;
+    const text = normalize(options.text);
+    const matches = s => {
+        s = normalize(s);
+        if (regex) {
+            return regex.test(s);
+        }
+        return options.exact ? s === text : s.toLowerCase().indexOf(text.toLowerCase()) >= 0;
+    }
+    const controls = 'input:not([type="hidden"]),select,textarea,button,[contenteditable=""],[contenteditable="true"],' +
+        '[role="textbox"],[role="combobox"],[role="checkbox"],[role="radio"],[role="listbox"],[role="switch"],[role="spinbutton"]';
+    const textOf = el => {
+        const clone = el.cloneNode(true);
+        clone.querySelectorAll('input,select,textarea,button').forEach(e => e.remove());
+        return clone.textContent;
+    }
+    const result = [];
+    const add = el => {
+        if (el && result.indexOf(el) < 0 && (scope === doc || scope.contains(el))) {
+            result.push(el);
+        }
+    }
+    if (kind === 'label' || kind === 'name') {
+        doc.querySelectorAll('label').forEach(label => {
+            if (matches(textOf(label))) {
+                add(label.control);
+            }
+        });
+    }
+    scope.querySelectorAll(controls).forEach(el => {
+        if ((kind === 'aria-label' || kind === 'name') && el.hasAttribute('aria-label') &&
+            matches(el.getAttribute('aria-label'))) {
+            add(el);
+        }
+        if ((kind === 'aria-labelledby' || kind === 'name') && el.hasAttribute('aria-labelledby')) {
+            const label = el.getAttribute('aria-labelledby')
+                .split(/\s+/)
+                .map(id => doc.getElementById(id))
+                .filter(e => e)
+                .map(e => textOf(e))
+                .join(' ');
+            if (matches(label)) {
+                add(el);
+            }
+        }
+        if ((kind === 'placeholder' || kind === 'name') && el.hasAttribute('placeholder') &&
+            matches(el.getAttribute('placeholder'))) {
+            add(el);
+        }
+    });
+    return result;
+}
+
+/**
+ * Find select options matching the values.
+ *
+ * @param {HTMLSelectElement} el Select element
+ * @param {Array<string|{source: string, flags: string}>} values Values or regular expressions to match
+ * @param {object} options The options
+ * @param {string} options.by Match option by value or text
+ * @param {boolean} options.partial Match case insensitive partially
+ * @returns {{multiple: boolean, selected: boolean[], matched: number[], missing: string[]}}
+ */
+function selectOptions(el, values, options) {
+    const normalize = s => (s || '').replace(/\s+/g, ' ').trim();
+    const opts = Array.from(el.options);
+    const result = {multiple: el.multiple, selected: opts.map(o => o.selected), matched: [], missing: []};
+    values.forEach(v => {
+        const regex = v !== null && typeof v === 'object' ? new RegExp(v.source, v.flags) : null;
+        const expected = options.by === 'text' ? normalize(String(v)) : String(v);
+        const matches = o => {
+            const s = options.by === 'text' ? normalize(o.text) : o.value;
+            if (regex) {
+                return regex.test(s);
+            }
+            return options.partial ? s.toLowerCase().indexOf(expected.toLowerCase()) >= 0 : s === expected;
+        }
+        let found = false;
+        opts.forEach((o, i) => {
+            if ((el.multiple || !found) && matches(o)) {
+                found = true;
+                if (result.matched.indexOf(i) < 0) {
+                    result.matched.push(i);
+                }
+            }
+        });
+        if (!found) {
+            result.missing.push(regex ? `/${v.source}/${v.flags}` : String(v));
+        }
+    });
+    return result;
+}
+
+/**
+ * Set input value using native value setter so frameworks tracking the value
+ * get notified, then dispatch input and change event.
+ *
+ * @param {HTMLInputElement} el Input element
+ * @param {string} value Input value
+ * @returns {string} The value accepted by the browser
+ */
+function setValue(el, value) {
+    const proto = Object.getPrototypeOf(el);
+    const descriptor = Object.getOwnPropertyDescriptor(proto, 'value');
+    if (descriptor && descriptor.set) {
+        descriptor.set.call(el, value);
+    } else {
+        el.value = value;
+    }
+    el.dispatchEvent(new Event('input', {bubbles: true}));
+    el.dispatchEvent(new Event('change', {bubbles: true}));
+    return el.value;
+}
+
+/**
+ * Get element information for field handler matching.
+ *
+ * @param {HTMLElement} el Element
+ * @returns {{tag: string, type: string, classes: string[], attributes: object}}
+ */
+function elementInfo(el) {
+    const attributes = {};
+    Array.from(el.attributes).forEach(attr => {
+        attributes[attr.name] = attr.value;
+    });
+    return {
+        tag: el.tagName.toLowerCase(),
+        type: (el.getAttribute('type') || '').toLowerCase(),
+        classes: Array.from(el.classList),
+        attributes,
+    };
+}
+
+/**
+ * Read page local storage and session storage.
+ *
+ * @returns {{localStorage: object, sessionStorage: object}}
+ */
+function readStorage() {
+    const read = storage => {
+        const items = {};
+        for (let i = 0; i < storage.length; i++) {
+            const key = storage.key(i);
+            items[key] = storage.getItem(key);
+        }
+        return items;
+    }
+    return {localStorage: read(window.localStorage), sessionStorage: read(window.sessionStorage)};
+}
+
+/**
+ * Write page local storage and session storage.
+ *
+ * @param {{localStorage: object, sessionStorage: object}} data Storage items
+ * @returns {number} Number of items written
+ */
+function writeStorage(data) {
+    let count = 0;
+    ['localStorage', 'sessionStorage'].forEach(kind => {
+        Object.entries(data[kind] || {}).forEach(([key, value]) => {
+            window[kind].setItem(key, value);
+            count++;
+        });
+    });
+    return count;
+}
+
+/**
+ * Check if a control such as pagination link is disabled, either by itself
+ * or by one of its ancestors.
+ *
+ * @param {HTMLElement} el Element
+ * @returns {boolean}
+ */
+function isDisabled(el) {
+    return el.disabled === true || el.closest('.disabled, [disabled], [aria-disabled="true"]') !== null;
+}
+
+/**
+ * Read table rows including the cells span.
+ *
+ * @param {HTMLTableElement} table Table element
+ * @returns {{section: string, cells: {header: boolean, text: string, html: string, colspan: number, rowspan: number}[]}[]}
+ */
+function tableRows(table) {
+    return Array.from(table.rows).map(row => ({
+        section: row.parentElement.tagName.toLowerCase(),
+        cells: Array.from(row.cells).map(cell => ({
+            header: cell.tagName.toLowerCase() === 'th',
+            text: cell.innerText,
+            html: cell.outerHTML,
+            colspan: cell.colSpan || 1,
+            rowspan: cell.rowSpan || 1,
+        })),
+    }));
+}
+
+/**
+ * Read fields of repeated items.
+ *
+ * @param {HTMLElement[]} items Item elements
+ * @param {object} selectors Field css selectors relative to item, null for the item itself
+ * @returns {object[]}
+ */
+function listItems(items, selectors) {
+    return items.map(item => {
+        const values = {};
+        Object.entries(selectors).forEach(([name, selector]) => {
+            const el = selector ? item.querySelector(selector) : item;
+            values[name] = el ? {text: el.innerText, html: el.outerHTML} : null;
+        });
+        return values;
+    });
+}
+
+module.exports = {
+    elementInfo,
+    fieldValue,
+    formValues,
+    isDisabled,
+    labelledControls,
+    listItems,
+    readStorage,
+    selectOptions,
+    setValue,
+    tableRows,
+    writeStorage,
+}
@@ -0,0 +1,236 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * A serialized error.
+ *
+ * @typedef {object} LogError
+ * @property {string} name Error class name
+ * @property {string} message Error message
+ * @property {string} stack Error stack
+ */
+
+/**
+ * A structured log event.
+ *
+ * @typedef {object} LogEvent
+ * @property {string} time Event time in ISO format
+ * @property {string} type Event type, can be error, trace, retry, or warn
+ * @property {string} message Warning message for warn event
+ * @property {string} step The offending step code, only first line for trace
+ * @property {LogError} error The error
+ * @property {LogError[]} causes The error cause chain
+ * @property {string} tag Logger tag
+ * @property {string} browser Robot browser
+ * @property {string} session Robot session
+ * @property {string} url Last opened url
+ * @property {number} retries Number of retries done before this event
+ * @property {{attempt: number, attempts: number, delay: number}} retry Retry information for retry event
+ * @property {string} artifacts Failure artifacts directory
+ */
+
+/**
+ * Base class of log sink.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class LogSink {
+
+    /**
+     * Write log event.
+     *
+     * @param {LogEvent} event The event
+     */
+    write(event) {
+    }
+
+    /**
+     * Serialize an error.
+     *
+     * @param {Error|string} err The error
+     * @returns {LogError}
+     */
+    static serialize(err) {
+        if (err instanceof Error) {
+            return {name: err.name, message: err.message, stack: err.stack};
+        }
+        return {name: typeof err, message: String(err)};
+    }
+}
+
+/**
+ * Text log sink, the default WorkErrorLogger output.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class TextSink extends LogSink {
+
+    /**
+     * Constructor.
+     *
+     * @param {Function} logger Logger function, default to console.error
+     */
+    constructor(logger) {
+        super();
+        this.logger = logger || console.error;
+    }
+
+    write(event) {
+        const errString = event.error.name === 'string' ? event.error.message :
+            (event.error.message ? `${event.error.name}: ${event.error.message}` : event.error.name);
+        switch (event.type) {
+            case 'error':
+                this.logger('Got error while doing:\n%s\n%s', event.step, errString);
+                if (event.artifacts) {
+                    this.logger('Artifacts saved to %s', event.artifacts);
+                }
+                break;
+            case 'trace':
+                this.logger('-> %s', event.step);
+                break;
+            case 'retry':
+                this.logger('Retrying (%d/%d) in %d ms after %s', event.retry.attempt, event.retry.attempts,
+                    event.retry.delay, errString);
+                break;
+            case 'warn':
+                this.logger('%s: %s', event.message, errString);
+                break;
+        }
+    }
+}
+
+/**
+ * Console pretty printer log sink.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class ConsoleSink extends LogSink {
+
+    /**
+     * Constructor.
+     *
+     * @param {object} options The options
+     * @param {boolean} options.color Use ANSI color, default to stderr is a TTY
+     * @param {boolean} options.stack Include error stack
+     */
+    constructor(options) {
+        super();
+        this.options = options || {};
+        this.color = this.options.color !== undefined ? this.options.color : process.stderr.isTTY;
+    }
+
+    write(event) {
+        const c = (code, s) => this.color ? `\x1b[${code}m${s}\x1b[0m` : s;
+        const context = [event.browser, event.session, event.url].filter(s => s).join(' ');
+        const lines = [
+            `${c(90, event.time)} ${c(['retry', 'warn'].includes(event.type) ? 33 : 31, event.type.toUpperCase())} ` +
+                `${event.error.name}: ${event.error.message}` + (context ? c(90, ` (${context})`) : ''),
+        ];
+        if (event.type === 'retry') {
+            lines.push(`  retry ${event.retry.attempt}/${event.retry.attempts} in ${event.retry.delay} ms`);
+        } else if (event.type === 'warn') {
+            lines.push(`  ${event.message}`);
+        } else {
+            lines.push(...event.step.split('\n').map(line => `  | ${line}`));
+        }
+        for (const cause of event.causes || []) {
+            lines.push(`  caused by ${cause.name}: ${cause.message}`);
+        }
+        if (this.options.stack && event.error.stack) {
+            lines.push(...event.error.stack.split('\n').slice(1).map(line => `  ${line.trim()}`));
+        }
+        if (event.artifacts) {
+            lines.push(`  artifacts ${event.artifacts}`);
+        }
+        console.error(lines.join('\n'));
+    }
+}
+
+/**
+ * JSON lines file log sink, each event written as a JSON in a single line.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class JsonLineSink extends LogSink {
+
+    /**
+     * Constructor.
+     *
+     * @param {string} filename Log file name
+     */
+    constructor(filename) {
+        super();
+        this.filename = filename;
+        const dir = path.dirname(filename);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, {recursive: true});
+        }
+    }
+
+    write(event) {
+        fs.appendFileSync(this.filename, JSON.stringify(event) + '\n');
+    }
+}
+
+/**
+ * In memory log sink, useful for tests.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class MemorySink extends LogSink {
+
+    events = []
+
+    write(event) {
+        this.events.push(event);
+    }
+
+    /**
+     * Get events of type.
+     *
+     * @param {string} type Event type
+     * @returns {LogEvent[]}
+     */
+    filter(type) {
+        return this.events.filter(e => e.type === type);
+    }
+
+    /**
+     * Clear events.
+     */
+    clear() {
+        this.events = [];
+    }
+}
+
+module.exports = {
+    LogSink,
+    TextSink,
+    ConsoleSink,
+    JsonLineSink,
+    MemorySink,
+}
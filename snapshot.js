@@ -0,0 +1,587 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const { parse, HTMLElement } = require('node-html-parser');
+const Extractor = require('./extract');
+
+/**
+ * Split expression by separator, ignoring separator inside quotes, brackets,
+ * or parentheses.
+ *
+ * @param {string} s The expression
+ * @param {string} separator The separator
+ * @returns {string[]}
+ */
+function splitTop(s, separator) {
+    const result = [];
+    let depth = 0, quote = null, start = 0;
+    for (let i = 0; i < s.length; i++) {
+        const c = s[i];
+        if (quote) {
+            if (c === quote) {
+                quote = null;
+            }
+        } else if (c === '"' || c === '\'') {
+            quote = c;
+        } else if (c === '[' || c === '(') {
+            depth++;
+        } else if (c === ']' || c === ')') {
+            depth--;
+        } else if (depth === 0 && s.startsWith(separator, i)) {
+            result.push(s.substring(start, i));
+            i += separator.length - 1;
+            start = i + 1;
+        }
+    }
+    result.push(s.substring(start));
+    return result;
+}
+
+/**
+ * Evaluates a subset of XPath 1.0 against parsed HTML tree. Supported are
+ * location paths with abbreviated or named axes, element name tests,
+ * union, and predicates using position, attribute, text, comparison,
+ * and, or, not(), contains(), starts-with(), normalize-space(), and
+ * concat().
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class XPathEvaluator {
+
+    /**
+     * Constructor.
+     *
+     * @param {HTMLElement} root Document root
+     */
+    constructor(root) {
+        this.root = root;
+    }
+
+    /**
+     * Select elements matching expression.
+     *
+     * @param {string} expr XPath expression
+     * @param {HTMLElement} context Context element
+     * @returns {HTMLElement[]}
+     */
+    select(expr, context) {
+        const result = new Set();
+        for (const path of splitTop(expr.trim(), '|')) {
+            this.selectPath(path.trim(), context).forEach(el => result.add(el));
+        }
+        return this.sort([...result]);
+    }
+
+    /**
+     * Select elements matching a location path.
+     *
+     * @param {string} path Location path
+     * @param {HTMLElement} context Context element
+     * @returns {HTMLElement[]}
+     */
+    selectPath(path, context) {
+        let nodes = [context], axis = 'child';
+        if (path.startsWith('//')) {
+            nodes = [this.root];
+            axis = 'descendant';
+            path = path.substring(2);
+        } else if (path.startsWith('/')) {
+            nodes = [this.root];
+            path = path.substring(1);
+        }
+        if (path === '') {
+            return nodes;
+        }
+        const steps = splitTop(path, '/');
+        for (let i = 0; i < steps.length; i++) {
+            // an empty step is the double slash
+            if (steps[i] === '') {
+                axis = 'descendant';
+                continue;
+            }
+            const result = new Set();
+            for (const node of nodes) {
+                this.selectStep(steps[i], axis, node).forEach(el => result.add(el));
+            }
+            nodes = [...result];
+            axis = 'child';
+        }
+        return nodes;
+    }
+
+    /**
+     * Select elements matching a location step.
+     *
+     * @param {string} step Location step
+     * @param {string} axis Default axis
+     * @param {HTMLElement} node Context element
+     * @returns {HTMLElement[]}
+     */
+    selectStep(step, axis, node) {
+        step = step.trim();
+        if (step === '.') {
+            return [node];
+        }
+        if (step === '..') {
+            return node.parentNode ? [node.parentNode] : [];
+        }
+        // double slash is descendant-or-self::node() followed by the step, so
+        // the predicates are evaluated against each parent such as //li[1]
+        if (axis === 'descendant') {
+            const result = new Set();
+            for (const el of [node, ...this.descendants(node)]) {
+                this.selectStep(step, 'child', el).forEach(x => result.add(x));
+            }
+            return this.sort([...result]);
+        }
+        const predicates = [];
+        const pos = step.indexOf('[');
+        let test = pos < 0 ? step : step.substring(0, pos);
+        if (pos >= 0) {
+            let depth = 0, start = pos;
+            for (let i = pos; i < step.length; i++) {
+                if (step[i] === '[') {
+                    if (depth++ === 0) {
+                        start = i + 1;
+                    }
+                } else if (step[i] === ']') {
+                    if (--depth === 0) {
+                        predicates.push(step.substring(start, i));
+                    }
+                }
+            }
+        }
+        const match = test.match(/^([a-z-]+)::(.*)$/);
+        if (match) {
+            axis = match[1];
+            test = match[2];
+        }
+        if (test.startsWith('@') || (test.endsWith('()') && test !== 'node()')) {
+            throw new Error(`Unsupported XPath node test ${test}!`);
+        }
+        let nodes = this.getAxis(axis, node)
+            .filter(el => el.rawTagName && (test === '*' || test === 'node()' ||
+                el.rawTagName.toLowerCase() === test.toLowerCase()));
+        for (const predicate of predicates) {
+            const size = nodes.length;
+            nodes = nodes.filter((el, idx) => {
+                const res = this.evaluate(predicate, el, idx + 1, size);
+                return typeof res === 'number' ? res === idx + 1 : this.toBoolean(res);
+            });
+        }
+        return nodes;
+    }
+
+    /**
+     * Get elements of an axis, in proximity order.
+     *
+     * @param {string} axis Axis name
+     * @param {HTMLElement} node Context element
+     * @returns {HTMLElement[]}
+     */
+    getAxis(axis, node) {
+        const siblings = () => node.parentNode ? this.children(node.parentNode) : [node];
+        switch (axis) {
+            case 'child':
+                return this.children(node);
+            case 'descendant':
+                return this.descendants(node);
+            case 'descendant-or-self':
+                return [node, ...this.descendants(node)];
+            case 'self':
+                return [node];
+            case 'parent':
+                return node.parentNode && node.parentNode !== this.root ? [node.parentNode] : [];
+            case 'ancestor':
+            case 'ancestor-or-self': {
+                const ancestors = axis === 'ancestor' ? [] : [node];
+                while ((node = node.parentNode) && node !== this.root) {
+                    ancestors.push(node);
+                }
+                return ancestors;
+            }
+            case 'following-sibling':
+                return siblings().slice(siblings().indexOf(node) + 1);
+            case 'preceding-sibling':
+                return siblings().slice(0, siblings().indexOf(node)).reverse();
+        }
+        throw new Error(`Unsupported XPath axis ${axis}!`);
+    }
+
+    /**
+     * Evaluate predicate expression.
+     *
+     * @param {string} expr The expression
+     * @param {HTMLElement} el Context element
+     * @param {number} pos Context position
+     * @param {number} size Context size
+     * @returns {string|number|boolean|HTMLElement[]}
+     */
+    evaluate(expr, el, pos, size) {
+        expr = expr.trim();
+        let parts = splitTop(expr, ' or ');
+        if (parts.length > 1) {
+            return parts.some(part => this.toBoolean(this.evaluate(part, el, pos, size)));
+        }
+        parts = splitTop(expr, ' and ');
+        if (parts.length > 1) {
+            return parts.every(part => this.toBoolean(this.evaluate(part, el, pos, size)));
+        }
+        for (const op of ['!=', '<=', '>=', '=', '<', '>']) {
+            parts = splitTop(expr, op);
+            if (parts.length === 2) {
+                return this.compare(this.evaluate(parts[0], el, pos, size), this.evaluate(parts[1], el, pos, size), op);
+            }
+        }
+        let match;
+        if ((match = expr.match(/^(['"])(.*)\1$/s))) {
+            return match[2];
+        }
+        if (/^-?\d+(\.\d+)?$/.test(expr)) {
+            return parseFloat(expr);
+        }
+        if ((match = expr.match(/^last\(\)\s*-\s*(\d+)$/))) {
+            return size - parseInt(match[1]);
+        }
+        if ((match = expr.match(/^\((.*)\)$/s))) {
+            return this.evaluate(match[1], el, pos, size);
+        }
+        if ((match = expr.match(/^@([\w:-]+)$/))) {
+            return el.hasAttribute(match[1]) ? [el.getAttribute(match[1])] : [];
+        }
+        if ((match = expr.match(/^([a-z-]+)\((.*)\)$/s))) {
+            const args = match[2].trim() === '' ? [] : splitTop(match[2], ',');
+            const values = () => args.map(arg => this.evaluate(arg, el, pos, size));
+            switch (match[1]) {
+                case 'position':
+                    return pos;
+                case 'last':
+                    return size;
+                case 'text':
+                    return [el.childNodes.filter(node => node.nodeType === 3).map(node => node.text).join('')];
+                case 'not':
+                    return !this.toBoolean(values()[0]);
+                case 'true':
+                    return true;
+                case 'false':
+                    return false;
+                case 'string':
+                    return args.length ? this.toString(values()[0]) : el.text;
+                case 'normalize-space':
+                    return Extractor.normalize(args.length ? this.toString(values()[0]) : el.text);
+                case 'concat':
+                    return values().map(value => this.toString(value)).join('');
+                case 'contains':
+                    return this.toString(values()[0]).includes(this.toString(values()[1]));
+                case 'starts-with':
+                    return this.toString(values()[0]).startsWith(this.toString(values()[1]));
+                case 'count':
+                    return values()[0].length;
+            }
+            throw new Error(`Unsupported XPath function ${match[1]}()!`);
+        }
+        if (expr === '.') {
+            return [el.text];
+        }
+        return this.selectPath(expr, el).map(node => node.text);
+    }
+
+    /**
+     * Compare values, a node set matches when one of its node does.
+     *
+     * @param {any} a Left value
+     * @param {any} b Right value
+     * @param {string} op Operator
+     * @returns {boolean}
+     */
+    compare(a, b, op) {
+        const f = (x, y) => {
+            if (typeof x === 'number' || typeof y === 'number' || ['<', '>', '<=', '>='].includes(op)) {
+                x = parseFloat(x);
+                y = parseFloat(y);
+            }
+            switch (op) {
+                case '=':
+                    return x === y;
+                case '!=':
+                    return x !== y;
+                case '<':
+                    return x < y;
+                case '>':
+                    return x > y;
+                case '<=':
+                    return x <= y;
+                case '>=':
+                    return x >= y;
+            }
+        }
+        const left = Array.isArray(a) ? a : [a];
+        const right = Array.isArray(b) ? b : [b];
+        return left.some(x => right.some(y => f(x, y)));
+    }
+
+    /**
+     * Convert value to string.
+     *
+     * @param {any} value The value
+     * @returns {string}
+     */
+    toString(value) {
+        if (Array.isArray(value)) {
+            return value.length ? String(value[0]) : '';
+        }
+        return String(value);
+    }
+
+    /**
+     * Convert value to boolean.
+     *
+     * @param {any} value The value
+     * @returns {boolean}
+     */
+    toBoolean(value) {
+        if (Array.isArray(value)) {
+            return value.length > 0;
+        }
+        return Boolean(value);
+    }
+
+    /**
+     * Get child elements.
+     *
+     * @param {HTMLElement} node The node
+     * @returns {HTMLElement[]}
+     */
+    children(node) {
+        return node.childNodes.filter(child => child instanceof HTMLElement);
+    }
+
+    /**
+     * Get descendant elements in document order.
+     *
+     * @param {HTMLElement} node The node
+     * @returns {HTMLElement[]}
+     */
+    descendants(node) {
+        const result = [];
+        for (const child of this.children(node)) {
+            result.push(child, ...this.descendants(child));
+        }
+        return result;
+    }
+
+    /**
+     * Sort elements in document order.
+     *
+     * @param {HTMLElement[]} nodes Elements
+     * @returns {HTMLElement[]}
+     */
+    sort(nodes) {
+        if (nodes.length > 1) {
+            if (!this.order) {
+                this.order = new Map(this.descendants(this.root).map((el, idx) => [el, idx]));
+            }
+            nodes.sort((a, b) => (this.order.get(a) ?? -1) - (this.order.get(b) ?? -1));
+        }
+        return nodes;
+    }
+}
+
+/**
+ * A snapshot of page or element HTML which is queried locally without
+ * WebDriver round-trips. Selectors can be a css selector string, an XPath
+ * string starting with / or ./, or a By with css selector, tag name, xpath,
+ * link text, or partial link text.
+ *
+ * Usage:
+ *
+ * ```js
+ * const snapshot = await robot.snapshot();
+ * const title = snapshot.getText([By.css('h1')])[0];
+ * const orders = snapshot.extractTable('#orders', {columns: {Total: 'number'}});
+ * const links = snapshot.findAll('//a[contains(@class, "item")]').map(a => a.getAttribute('href'));
+ * ```
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class PageSnapshot {
+
+    /**
+     * Constructor.
+     *
+     * @param {string} html The HTML
+     * @param {object} options The options
+     * @param {string} options.url Page url, used to resolve href
+     */
+    constructor(html, options = null) {
+        this.options = options || {};
+        this.html = html;
+        this.root = parse(html, {comment: false});
+        this.xpath = new XPathEvaluator(this.root);
+        this.extractor = new Extractor({baseUrl: this.options.url});
+    }
+
+    /**
+     * Find element.
+     *
+     * @param {string|By} selector Selector
+     * @param {HTMLElement} parent Parent element
+     * @returns {HTMLElement|null}
+     */
+    find(selector, parent = null) {
+        const items = this.findAll(selector, parent);
+        return items.length ? items[0] : null;
+    }
+
+    /**
+     * Find elements.
+     *
+     * @param {string|By} selector Selector
+     * @param {HTMLElement} parent Parent element
+     * @returns {HTMLElement[]}
+     */
+    findAll(selector, parent = null) {
+        parent = parent || this.root;
+        let using = 'css selector', value = selector;
+        if (typeof selector === 'object' && selector.using) {
+            using = selector.using;
+            value = selector.value;
+        } else if (typeof selector !== 'string') {
+            throw new Error(`Unsupported snapshot selector ${selector}!`);
+        } else if (/^\.{0,2}\//.test(selector)) {
+            using = 'xpath';
+        }
+        switch (using) {
+            case 'css selector':
+                return parent.querySelectorAll(value);
+            case 'tag name':
+                return parent.getElementsByTagName(value);
+            case 'xpath':
+                return this.xpath.select(value, parent);
+            case 'link text':
+            case 'partial link text':
+                return parent.querySelectorAll('a').filter(a => {
+                    const text = Extractor.normalize(a.text);
+                    return using === 'link text' ? text === value : text.includes(value);
+                });
+        }
+        throw new Error(`Unsupported snapshot selector ${selector}!`);
+    }
+
+    /**
+     * Get element text, block elements are separated by new line.
+     *
+     * @param {HTMLElement} el The element
+     * @returns {string}
+     */
+    text(el) {
+        return el.structuredText.trim();
+    }
+
+    /**
+     * Get element texts, text of missing element is null.
+     *
+     * @param {Array<string|By>|object} items Selectors, an object resolves texts with its keys
+     * @param {HTMLElement} parent Parent element
+     * @returns {string[]|object}
+     */
+    getText(items, parent = null) {
+        const keyed = typeof items === 'object' && !Array.isArray(items);
+        const result = keyed ? {} : [];
+        for (const [key, item] of Object.entries(items)) {
+            const el = this.find(item, parent);
+            const text = el ? this.text(el) : null;
+            if (keyed) {
+                result[key] = text;
+            } else {
+                result.push(text);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Extract table into records, see WebRobot.extractTable().
+     *
+     * @param {string|By|HTMLElement} table Table element
+     * @param {object} options The options, see Extractor.tableRecords()
+     * @returns {object[]}
+     */
+    extractTable(table, options = null) {
+        if (!(table instanceof HTMLElement)) {
+            const selector = table;
+            if (!(table = this.find(selector))) {
+                throw new Error(`Table ${selector} not found!`);
+            }
+        }
+        const sections = {thead: [], body: [], tfoot: []};
+        for (const node of this.xpath.children(table)) {
+            const tag = node.rawTagName.toLowerCase();
+            const rows = tag === 'tr' ? [node] : (['thead', 'tbody', 'tfoot'].includes(tag) ?
+                this.xpath.children(node).filter(tr => tr.rawTagName.toLowerCase() === 'tr') : []);
+            rows.forEach(tr => {
+                sections[tag === 'thead' || tag === 'tfoot' ? tag : 'body'].push({
+                    section: tag === 'tr' ? 'table' : tag,
+                    cells: this.xpath.children(tr)
+                        .filter(cell => ['th', 'td'].includes(cell.rawTagName.toLowerCase()))
+                        .map(cell => ({
+                            header: cell.rawTagName.toLowerCase() === 'th',
+                            text: this.text(cell),
+                            html: cell.outerHTML,
+                            colspan: parseInt(cell.getAttribute('colspan')) || 1,
+                            rowspan: parseInt(cell.getAttribute('rowspan')) || 1,
+                        })),
+                });
+            });
+        }
+        return this.extractor.tableRecords([...sections.thead, ...sections.body, ...sections.tfoot], options);
+    }
+
+    /**
+     * Extract repeated elements into records, see WebRobot.extractList().
+     *
+     * @param {string|By} items Item elements selector
+     * @param {Object<string, FieldSpec>} fields Field specs
+     * @param {object} options The options
+     * @param {HTMLElement} options.parent Parent element
+     * @returns {object[]}
+     */
+    extractList(items, fields, options = null) {
+        options = options || {};
+        const selectors = this.extractor.getSelectors(fields);
+        return this.extractor.listRecords(this.findAll(items, options.parent).map(item => {
+            const values = {};
+            for (const [name, selector] of Object.entries(selectors)) {
+                const el = selector ? this.find(selector, item) : item;
+                values[name] = el ? {text: this.text(el), html: el.outerHTML} : null;
+            }
+            return values;
+        }), fields);
+    }
+}
+
+module.exports = {
+    PageSnapshot,
+    XPathEvaluator,
+}
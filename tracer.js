@@ -0,0 +1,314 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { By } = require('selenium-webdriver');
+
+/**
+ * A trace span.
+ *
+ * @typedef {object} TraceSpan
+ * @property {number} id Span id
+ * @property {number|null} parent Parent span id
+ * @property {string} kind Span kind, action or step
+ * @property {string} name Action name or step code
+ * @property {string} selector Selector or url used
+ * @property {number} start Start time (ms)
+ * @property {number} end End time (ms)
+ * @property {number} duration Duration (ms)
+ * @property {string} outcome Span outcome, ok or error
+ * @property {string} error Error message
+ * @property {string} screenshot Base64 encoded PNG screenshot
+ */
+
+/**
+ * Robot run tracer, records high level actions and works() steps.
+ *
+ * Usage:
+ *
+ * ```js
+ * // use screenshots: 'step' to take screenshot for each step
+ * const robot = new MyWebRobot({trace: {screenshots: true}});
+ * // ...
+ * robot.tracer.saveHtml(path.join(robot.workdir, 'trace.html'));
+ * ```
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class Tracer {
+
+    spans = []
+
+    /**
+     * Constructor.
+     *
+     * @param {object} options Tracer options
+     * @param {boolean|string} options.screenshots Take screenshot after each top level action, or `step` to
+     * also take screenshot after each action and works() step
+     * @param {string[]} options.methods Robot methods traced as action
+     */
+    constructor(options) {
+        this.options = options || {};
+        this.storage = new AsyncLocalStorage();
+        this.seq = 0;
+    }
+
+    /**
+     * Attach tracer to robot by wrapping its action methods.
+     *
+     * @param {WebRobot} robot The robot
+     */
+    attach(robot) {
+        this.robot = robot;
+        const methods = this.options.methods || this.constructor.METHODS;
+        for (const method of methods) {
+            const fn = robot[method];
+            if (typeof fn === 'function') {
+                robot[method] = (...args) => this.trace('action', method, this.describe(args[0]),
+                    () => fn.apply(robot, args));
+            }
+        }
+    }
+
+    /**
+     * Wrap a works() step handler.
+     *
+     * @param {Function} handler Step handler
+     * @returns {Function}
+     */
+    wrap(handler) {
+        const lines = handler.toString().split('\n');
+        const name = lines[0].trim() + (lines.length > 1 ? ' ...' : '');
+        const wrapped = w => this.trace('step', name, null, () => handler(w));
+        // keep step info for WorkErrorLogger
+        wrapped.toString = () => handler.toString();
+        return wrapped;
+    }
+
+    /**
+     * Record a span while calling the function.
+     *
+     * @param {string} kind Span kind, action or step
+     * @param {string} name Action name or step code
+     * @param {string} selector Selector or url used
+     * @param {Function} fn Function to call
+     * @returns {Promise<any>}
+     */
+    trace(kind, name, selector, fn) {
+        const parent = this.storage.getStore();
+        const span = {id: ++this.seq, parent: parent ? parent.id : null, kind, name, selector, start: Date.now()};
+        this.spans.push(span);
+        return this.storage.run(span, () => {
+            let p;
+            try {
+                p = Promise.resolve(fn());
+            }
+            catch (err) {
+                p = Promise.reject(err);
+            }
+            return p
+                .then(res => this.end(span).then(() => res))
+                .catch(err => this.end(span, err).then(() => Promise.reject(err)));
+        });
+    }
+
+    /**
+     * End a span.
+     *
+     * @param {TraceSpan} span The span
+     * @param {Error|string} err The error
+     * @returns {Promise<void>}
+     */
+    end(span, err) {
+        if (span.end !== undefined) {
+            return Promise.resolve();
+        }
+        span.end = Date.now();
+        span.duration = span.end - span.start;
+        span.outcome = err ? 'error' : 'ok';
+        if (err) {
+            span.error = err instanceof Error ? err.toString() : String(err);
+        }
+        const driver = this.robot ? this.robot.driver : null;
+        const screenshot = this.options.screenshots === 'step' ? true :
+            this.options.screenshots && span.kind === 'action' && span.parent === null;
+        if (screenshot && driver) {
+            return driver.takeScreenshot()
+                .then(data => {
+                    span.screenshot = data;
+                })
+                .catch(() => null);
+        }
+        return Promise.resolve();
+    }
+
+    /**
+     * Describe action argument as selector.
+     *
+     * @param {any} arg Argument
+     * @returns {string|undefined}
+     */
+    describe(arg) {
+        if (typeof arg === 'string') {
+            return arg;
+        }
+        if (arg instanceof By || (typeof arg === 'function' && arg.using)) {
+            return arg.toString();
+        }
+        if (arg && typeof arg === 'object') {
+            if (arg.el && arg.data) {
+                return this.describe(arg.data);
+            }
+            if (arg.target) {
+                return this.describe(arg.target);
+            }
+            if (Array.isArray(arg)) {
+                return `${arg.length} item(s)`;
+            }
+        }
+    }
+
+    /**
+     * Clear recorded spans.
+     */
+    clear() {
+        this.spans = [];
+    }
+
+    /**
+     * Get trace as JSON object.
+     *
+     * @returns {{start: number, end: number, spans: TraceSpan[]}}
+     */
+    toJSON() {
+        const start = this.spans.length ? Math.min(...this.spans.map(s => s.start)) : null;
+        const end = this.spans.length ? Math.max(...this.spans.map(s => s.end !== undefined ? s.end : Date.now())) : null;
+        return {start, end, spans: this.spans};
+    }
+
+    /**
+     * Save trace as JSON file.
+     *
+     * @param {string} filename File name
+     */
+    saveJson(filename) {
+        this.write(filename, JSON.stringify(this.toJSON(), null, 2));
+    }
+
+    /**
+     * Save trace as self-contained HTML timeline.
+     *
+     * @param {string} filename File name
+     */
+    saveHtml(filename) {
+        this.write(filename, this.toHtml());
+    }
+
+    /**
+     * Get trace as self-contained HTML timeline.
+     *
+     * @returns {string}
+     */
+    toHtml() {
+        const trace = this.toJSON();
+        const total = Math.max(1, trace.end - trace.start);
+        const esc = s => String(s === undefined || s === null ? '' : s)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        const depths = {};
+        const rows = trace.spans.map(span => {
+            const depth = depths[span.id] = span.parent ? depths[span.parent] + 1 : 0;
+            const end = span.end !== undefined ? span.end : trace.end;
+            const left = ((span.start - trace.start) / total * 100).toFixed(2);
+            const width = Math.max(0.2, (end - span.start) / total * 100).toFixed(2);
+            const status = span.outcome || 'pending';
+            return `<tr class="${status} ${span.kind}">` +
+                `<td class="name" style="padding-left:${depth * 16 + 4}px" title="${esc(span.name)}">${esc(span.name)}</td>` +
+                `<td>${esc(span.selector)}</td>` +
+                `<td class="num">${span.duration !== undefined ? span.duration : ''}</td>` +
+                `<td class="timeline"><div class="bar" style="left:${left}%;width:${width}%" title="${esc(span.error)}"></div></td>` +
+                `</tr>` +
+                (span.error ? `<tr class="detail"><td colspan="4" class="error">${esc(span.error)}</td></tr>` : '') +
+                (span.screenshot ? `<tr class="detail"><td colspan="4"><details><summary>Screenshot</summary>` +
+                    `<img src="data:image/png;base64,${span.screenshot}"></details></td></tr>` : '');
+        });
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>WebRobot Trace ${esc(new Date(trace.start || Date.now()).toISOString())}</title>
+<style>
+body { font-family: sans-serif; font-size: 13px; margin: 16px; }
+table { border-collapse: collapse; width: 100%; table-layout: fixed; }
+th, td { border-bottom: 1px solid #eee; padding: 2px 4px; text-align: left; vertical-align: top; }
+td.name { white-space: nowrap; overflow: hidden; text-overflow: ellipsis; font-family: monospace; }
+td.num { text-align: right; }
+td.timeline { position: relative; }
+.bar { position: absolute; top: 4px; height: 10px; background: #4a90d9; border-radius: 2px; }
+tr.step .bar { background: #9bbde6; }
+tr.error .bar { background: #d9534f; }
+tr.pending .bar { background: #f0ad4e; }
+tr.action td.name { font-weight: bold; }
+td.error { color: #d9534f; font-family: monospace; white-space: pre-wrap; }
+img { max-width: 100%; border: 1px solid #ccc; }
+</style>
+</head>
+<body>
+<h3>WebRobot Trace</h3>
+<p>${trace.spans.length} span(s), ${trace.end !== null ? trace.end - trace.start : 0} ms</p>
+<table>
+<colgroup><col style="width:30%"><col style="width:20%"><col style="width:8%"><col style="width:42%"></colgroup>
+<tr><th>Action / Step</th><th>Selector</th><th>ms</th><th>Timeline</th></tr>
+${rows.join('\n')}
+</table>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Write file, creating its directory if necessary.
+     *
+     * @param {string} filename File name
+     * @param {string} content File content
+     */
+    write(filename, content) {
+        const dir = path.dirname(filename);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, {recursive: true});
+        }
+        fs.writeFileSync(filename, content);
+    }
+
+    static get METHODS() {
+        return ['open', 'close', 'fillInForm', 'fillInSchema', 'fillFormValue', 'readForm', 'verifyForm',
+            'fill', 'select', 'click', 'waitFor', 'waitAndClick', 'getText', 'sleep'];
+    }
+}
+
+module.exports = Tracer;